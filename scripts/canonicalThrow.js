@@ -0,0 +1,60 @@
+import * as THREE from "three";
+import { advanceRock, createRockState, launchRock } from "../src/physics/rockPhysics.js";
+import { DEFAULT_STONE_OPTIONS, generateStone } from "../src/objects/stoneGenerator.js";
+
+// The canonical throw with the hydrodynamic skip model: a default generated
+// stone released just above the water at 10 m/s, 10 degrees below the
+// horizontal, tilted 20 degrees and spinning at 10 rev/s. The spin makes it
+// precess under the water torque instead of pitching over, so it should skip
+// several times. Prints every skip and exits with an error when there are too
+// few.
+//
+//     node scripts/canonicalThrow.js
+
+const SPEED = 10; // m/s
+const ATTACK_ANGLE = 10; // Degrees below the horizontal
+const TILT_ANGLE = 20; // Degrees
+const SPIN_RATE = 10; // rev/s
+const MIN_SKIPS = 3;
+
+const FRAME = 1 / 60; // s
+const MAX_TIME = 20; // s
+
+const { physics } = generateStone({ seed: 1, segments: DEFAULT_STONE_OPTIONS.segments }, 2700);
+const params = {
+    ...physics,
+    skipModel: "hydrodynamic",
+    waterPlaneSize: { width: 100, height: 100 },
+    floorDepth: -2,
+};
+
+const attack = THREE.MathUtils.degToRad(ATTACK_ANGLE);
+let state = createRockState({ position: new THREE.Vector3(0, 0.05, -40), seed: 1 });
+state = launchRock(state, new THREE.Vector3(0, -SPEED * Math.sin(attack), SPEED * Math.cos(attack)), {
+    tiltAngle: TILT_ANGLE,
+    spinRate: SPIN_RATE,
+});
+
+let skips = 0;
+let ending = "still going";
+for (let time = 0; time < MAX_TIME && state.isActive && !state.hasSunk; time += FRAME) {
+    const result = advanceRock(state, params, FRAME);
+    state = result.state;
+    result.events.forEach((event) => {
+        if (event.type === "skip") {
+            skips++;
+            console.log(
+                `skip ${skips}: hit at ${event.impactVelocity.toFixed(2)} m/s, ` +
+                    `${(event.contactDuration * 1000).toFixed(0)} ms in the water`
+            );
+        } else if (event.type === "sink") {
+            ending = event.reason;
+        }
+    });
+}
+console.log(`${skips} skips, then ${ending}`);
+
+if (skips < MIN_SKIPS) {
+    console.error(`The canonical throw should skip at least ${MIN_SKIPS} times`);
+    process.exit(1);
+}
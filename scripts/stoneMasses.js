@@ -0,0 +1,34 @@
+import { DEFAULT_STONE_OPTIONS, generateStone } from "../src/objects/stoneGenerator.js";
+
+// Masses and thicknesses of the default generated stones.
+// They should be real skipping stones: about 1 cm thick and 100-150 g. Prints
+// every seed and exits with an error when the average falls outside that.
+//
+//     node scripts/stoneMasses.js
+
+const SEEDS = 20;
+const DENSITY = 2700; // kg/m^3, the default rock type's
+const MASS_RANGE = [0.1, 0.15]; // kg, for the average stone
+const THICKNESS_RANGE = [0.007, 0.013]; // m, for the average stone
+
+let totalMass = 0;
+let totalThickness = 0;
+for (let seed = 1; seed <= SEEDS; seed++) {
+    const { physics } = generateStone({ seed, segments: DEFAULT_STONE_OPTIONS.segments }, DENSITY);
+    const thickness = 2 * physics.radius * physics.thicknessRatio;
+    totalMass += physics.mass;
+    totalThickness += thickness;
+    console.log(
+        `seed ${String(seed).padStart(2)}: ${(physics.mass * 1000).toFixed(0)} g, ` +
+            `${(thickness * 100).toFixed(2)} cm thick, ${(physics.radius * 200).toFixed(1)} cm across`
+    );
+}
+
+const mass = totalMass / SEEDS;
+const thickness = totalThickness / SEEDS;
+console.log(`average: ${(mass * 1000).toFixed(0)} g, ${(thickness * 100).toFixed(2)} cm thick`);
+
+if (mass < MASS_RANGE[0] || mass > MASS_RANGE[1] || thickness < THICKNESS_RANGE[0] || thickness > THICKNESS_RANGE[1]) {
+    console.error("The default stones are not skipping stones any more");
+    process.exit(1);
+}
@@ -0,0 +1,146 @@
+import * as THREE from "three";
+import { EXRLoader } from "three/examples/jsm/loaders/EXRLoader.js";
+import { createRandom } from "./physics/random.js";
+
+// Central asset loading.
+// Every texture, normal map and environment map goes through one
+// LoadingManager, so the loading screen can show the progress of all of them
+// and the scene is only built once they are in. Loads are promise based and
+// never fail: a missing or broken asset resolves to its fallback (a flat
+// normal map, no displacement, a procedural texture...) and is reported as a
+// warning instead.
+
+export default class AssetManager {
+    constructor() {
+        this.manager = new THREE.LoadingManager();
+        this.textureLoader = new THREE.TextureLoader(this.manager);
+        this.exrLoader = new EXRLoader(this.manager);
+        this.cubeTextureLoader = new THREE.CubeTextureLoader(this.manager);
+
+        this.loads = []; // Promises of every asset requested so far
+        this.warnings = []; // Messages about assets that fell back
+        this.progressListeners = new Set();
+        this.warningListeners = new Set();
+
+        this.manager.onProgress = (url, loaded, total) => {
+            this.progressListeners.forEach((listener) => listener(loaded, total, url));
+        };
+    }
+
+    // Load with the given loader. Resolves to the asset, or to the fallback
+    // (a value, or a function making one) if it cannot be loaded.
+    load(loader, url, { fallback = null, description = url, fallbackDescription = "" } = {}) {
+        const promise = loader.loadAsync(url).catch((error) => {
+            const using = fallbackDescription ? `, using ${fallbackDescription}` : "";
+            this.warn(`${description} could not be loaded${using}`, error);
+            return typeof fallback === "function" ? fallback() : fallback;
+        });
+        this.loads.push(promise);
+        return promise;
+    }
+
+    loadTexture(url, options) {
+        return this.load(this.textureLoader, url, options);
+    }
+
+    loadEXR(url, options) {
+        return this.load(this.exrLoader, url, options);
+    }
+
+    // Cube map from six image urls (px, nx, py, ny, pz, nz)
+    loadCubeTexture(urls, options) {
+        return this.load(this.cubeTextureLoader, urls, { description: `Environment map ${urls[0]}`, ...options });
+    }
+
+    warn(message, error = null) {
+        console.warn(message, error || "");
+        this.warnings.push(message);
+        this.warningListeners.forEach((listener) => listener(message));
+    }
+
+    // Resolves once every asset requested so far, including any requested
+    // while waiting, has loaded or fallen back
+    async whenLoaded() {
+        let count;
+        do {
+            count = this.loads.length;
+            await Promise.all(this.loads);
+        } while (count !== this.loads.length);
+    }
+
+    // listener(loaded, total, url) after each asset
+    onProgress(listener) {
+        this.progressListeners.add(listener);
+        return () => this.progressListeners.delete(listener);
+    }
+
+    // listener(message) for each asset that fell back
+    onWarning(listener) {
+        this.warningListeners.add(listener);
+        return () => this.warningListeners.delete(listener);
+    }
+}
+
+// The asset manager the whole app loads through
+export const assets = new AssetManager();
+
+// --- Fallback assets ---
+
+// 1x1 texture of a single RGBA colour (0-255)
+export function solidTexture(r, g, b, a = 255) {
+    const texture = new THREE.DataTexture(new Uint8Array([r, g, b, a]), 1, 1);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// Normal map of a perfectly flat surface
+export function flatNormalTexture() {
+    return solidTexture(128, 128, 255);
+}
+
+// Tiling value-noise texture blending between two colours, for a missing
+// ground or stone texture. The same seed always gives the same texture.
+export function proceduralTexture({ colorA, colorB, seed = 0, size = 128, cells = 16 }) {
+    const random = createRandom(`texture:${seed}`);
+    const lattice = Array.from({ length: cells * cells }, () => random());
+    const at = (x, y) => lattice[(y % cells) * cells + (x % cells)];
+    const a = new THREE.Color(colorA);
+    const b = new THREE.Color(colorB);
+    const color = new THREE.Color();
+    const rgb = { r: 0, g: 0, b: 0 };
+
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            // Two octaves of smoothed lattice noise that wrap at the edges
+            let value = 0;
+            [1, 2].forEach((octave) => {
+                const u = (x / size) * cells * octave;
+                const v = (y / size) * cells * octave;
+                const x0 = Math.floor(u);
+                const y0 = Math.floor(v);
+                const fx = u - x0;
+                const fy = v - y0;
+                const sx = fx * fx * (3 - 2 * fx);
+                const sy = fy * fy * (3 - 2 * fy);
+                const top = at(x0, y0) * (1 - sx) + at(x0 + 1, y0) * sx;
+                const bottom = at(x0, y0 + 1) * (1 - sx) + at(x0 + 1, y0 + 1) * sx;
+                value += (top * (1 - sy) + bottom * sy) / octave;
+            });
+            color.copy(a).lerp(b, value / 1.5).getRGB(rgb, THREE.SRGBColorSpace);
+
+            const i = (y * size + x) * 4;
+            data[i] = rgb.r * 255;
+            data[i + 1] = rgb.g * 255;
+            data[i + 2] = rgb.b * 255;
+            data[i + 3] = 255;
+        }
+    }
+
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.needsUpdate = true;
+    return texture;
+}
@@ -0,0 +1,138 @@
+import * as THREE from "three";
+
+// Disturbing the water by hand with the mouse, in one of the modes:
+// - "brush": click and drag on the water to draw a wake, as if something
+//   were dragged through it
+// - "dripper": click on the water to hang a dripper over that point (see
+//   Emitters)
+// - "off": the mouse turns the camera as usual
+// While a mode is on, a click on the water is taken before the camera
+// controls see it.
+
+export default class EmitterController {
+    constructor(options = {}) {
+        this.camera = options.camera;
+        this.water = options.water;
+        this.emitters = options.emitters;
+        this.controls = options.controls || null; // Camera controls to hold still while drawing
+        this.domElement = options.domElement || document.body;
+
+        this.mode = "off";
+        this.brush = {
+            size: 0.1, // Radius of the wake, m
+            strength: 0.3, // Relative to uDisturbanceAmount
+        };
+        this.drawing = false;
+        this.lastPoint = new THREE.Vector3();
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.waterPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+        this.uv = new THREE.Vector2();
+        this.direction = new THREE.Vector2();
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.addEventListeners();
+    }
+
+    addEventListeners() {
+        // Capture, so a click on the water is taken before the camera
+        // controls see it
+        this.domElement.addEventListener("pointerdown", this.onPointerDown, true);
+        window.addEventListener("pointermove", this.onPointerMove);
+        window.addEventListener("pointerup", this.onPointerUp);
+    }
+
+    removeEventListeners() {
+        this.domElement.removeEventListener("pointerdown", this.onPointerDown, true);
+        window.removeEventListener("pointermove", this.onPointerMove);
+        window.removeEventListener("pointerup", this.onPointerUp);
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        if (mode !== "brush") this.endStroke();
+    }
+
+    // Where the mouse ray meets the water; null when it misses the pool
+    waterPoint(event) {
+        this.pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        this.waterPlane.constant = -this.water.position.y;
+
+        const point = this.raycaster.ray.intersectPlane(this.waterPlane, new THREE.Vector3());
+        if (!point) return null;
+        const { width, height } = this.water.waterPlaneSize;
+        if (Math.abs(point.x) > width / 2 || Math.abs(point.z) > height / 2) return null;
+        return point;
+    }
+
+    onPointerDown(event) {
+        if (this.mode === "off" || event.button !== 0) return;
+        const point = this.waterPoint(event);
+        if (!point) return;
+        event.stopImmediatePropagation();
+
+        if (this.mode === "dripper") {
+            this.emitters.addDripper(point.x, point.z);
+            return;
+        }
+
+        this.drawing = true;
+        if (this.controls) this.controls.enabled = false;
+        this.lastPoint.copy(point);
+        this.stamp(point, null);
+    }
+
+    // Stamp the wake along the way from the last point, a brush radius apart,
+    // each stamp pushing the water along the stroke
+    onPointerMove(event) {
+        if (!this.drawing) return;
+        const point = this.waterPoint(event);
+        if (!point) return;
+
+        const step = this.brush.size;
+        const distance = Math.hypot(point.x - this.lastPoint.x, point.z - this.lastPoint.z);
+        if (distance < step) return;
+
+        this.direction.set(point.x - this.lastPoint.x, point.z - this.lastPoint.z);
+        const stamps = Math.floor(distance / step);
+        for (let i = 1; i <= stamps; i++) {
+            this.lastPoint.lerp(point, 1 / (stamps - i + 1));
+            this.stamp(this.lastPoint, this.direction);
+        }
+    }
+
+    onPointerUp() {
+        this.endStroke();
+    }
+
+    endStroke() {
+        if (!this.drawing) return;
+        this.drawing = false;
+        if (this.controls) this.controls.enabled = true;
+    }
+
+    // One stamp of the brush at a world point: a grazing crater stretched
+    // along the stroke, like a skip's, or a round one where the stroke starts
+    stamp(point, direction) {
+        const water = this.water;
+        water.addDisturbance(
+            water.worldToUv(point.x, point.z, this.uv),
+            water.simulationMaterial.uniforms.uDisturbanceAmount.value * this.brush.strength,
+            {
+                direction,
+                impactAngle: direction ? 0.3 : Math.PI / 2,
+                size: this.brush.size,
+            }
+        );
+    }
+
+    dispose() {
+        this.endStroke();
+        this.removeEventListeners();
+    }
+}
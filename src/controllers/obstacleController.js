@@ -0,0 +1,173 @@
+import * as THREE from "three";
+
+// Editing the obstacles in the scene with the mouse.
+// While editing is on:
+// - Shift+click on the water places an obstacle of placeType there
+// - dragging an obstacle moves it across the water
+// - clicking an obstacle selects it; Delete or Backspace removes it
+// A drag that starts on an obstacle moves it instead of turning the camera.
+
+export default class ObstacleController {
+    constructor(options = {}) {
+        this.scene = options.scene;
+        this.camera = options.camera;
+        this.obstacles = options.obstacles;
+        this.controls = options.controls || null; // Camera controls to hold still while dragging
+        this.domElement = options.domElement || document.body;
+
+        this.editing = false;
+        this.placeType = options.placeType || "boulder";
+        this.selected = null;
+        this.dragging = false;
+
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.waterPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+        // Ring on the water around the selected obstacle
+        this.selectionRing = new THREE.Mesh(
+            new THREE.RingGeometry(1, 1.08, 48),
+            new THREE.MeshBasicMaterial({
+                color: 0xffdd55,
+                transparent: true,
+                opacity: 0.8,
+                side: THREE.DoubleSide,
+                depthWrite: false,
+            })
+        );
+        this.selectionRing.rotation.x = -Math.PI / 2; // Lie flat on the water
+        this.selectionRing.visible = false;
+        this.scene.add(this.selectionRing);
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.addEventListeners();
+    }
+
+    addEventListeners() {
+        // Capture, so a drag on an obstacle is taken before the camera
+        // controls see it
+        this.domElement.addEventListener("pointerdown", this.onPointerDown, true);
+        window.addEventListener("pointermove", this.onPointerMove);
+        window.addEventListener("pointerup", this.onPointerUp);
+        window.addEventListener("keydown", this.onKeyDown);
+    }
+
+    removeEventListeners() {
+        this.domElement.removeEventListener("pointerdown", this.onPointerDown, true);
+        window.removeEventListener("pointermove", this.onPointerMove);
+        window.removeEventListener("pointerup", this.onPointerUp);
+        window.removeEventListener("keydown", this.onKeyDown);
+    }
+
+    setEditing(editing) {
+        this.editing = editing;
+        if (!editing) {
+            this.endDrag();
+            this.select(null);
+        }
+    }
+
+    select(obstacle) {
+        this.selected = obstacle;
+        this.update();
+    }
+
+    removeSelected() {
+        if (!this.selected) return;
+        this.obstacles.removeObstacle(this.selected);
+        this.select(null);
+    }
+
+    // Point the mouse is over: the ray through it from the camera
+    aimAt(event) {
+        this.pointer.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.pointer.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+    }
+
+    // Where the mouse ray meets the water, kept inside the pool for an
+    // obstacle of the given radius; null when it misses the water
+    waterPoint(radius = 0) {
+        const point = this.raycaster.ray.intersectPlane(this.waterPlane, new THREE.Vector3());
+        if (!point) return null;
+
+        const { width, height } = this.obstacles.waterPlaneSize;
+        point.x = THREE.MathUtils.clamp(point.x, -width / 2 + radius, width / 2 - radius);
+        point.z = THREE.MathUtils.clamp(point.z, -height / 2 + radius, height / 2 - radius);
+        return point;
+    }
+
+    onPointerDown(event) {
+        if (!this.editing || event.button !== 0) return;
+        this.aimAt(event);
+
+        const hit = this.raycaster.intersectObjects(this.obstacles.children, false)[0];
+        if (hit) {
+            this.select(this.obstacles.obstacleOf(hit.object));
+            this.dragging = true;
+            if (this.controls) this.controls.enabled = false;
+            event.stopImmediatePropagation();
+            return;
+        }
+
+        if (event.shiftKey) {
+            const point = this.waterPoint();
+            if (!point) return;
+            this.select(this.obstacles.place(this.placeType, point.x, point.z));
+            event.stopImmediatePropagation();
+            return;
+        }
+
+        this.select(null);
+    }
+
+    onPointerMove(event) {
+        if (!this.dragging || !this.selected) return;
+        this.aimAt(event);
+
+        const point = this.waterPoint(this.selected.radius);
+        if (!point) return;
+        this.obstacles.moveTo(this.selected, point.x, point.z, false);
+        this.update();
+    }
+
+    onPointerUp() {
+        this.endDrag();
+    }
+
+    endDrag() {
+        if (!this.dragging) return;
+        this.dragging = false;
+        if (this.controls) this.controls.enabled = true;
+        // Save the new place and rebuild the wave obstacles once
+        this.obstacles.changed();
+    }
+
+    onKeyDown(event) {
+        if (!this.editing || !this.selected) return;
+        if (event.key === "Delete" || event.key === "Backspace") {
+            event.preventDefault();
+            this.removeSelected();
+        }
+    }
+
+    // Keep the selection ring around the selected obstacle, which may drift
+    update() {
+        const obstacle = this.selected;
+        this.selectionRing.visible = Boolean(obstacle);
+        if (!obstacle) return;
+
+        this.selectionRing.position.set(obstacle.x, Math.max(obstacle.y, 0) + 0.02, obstacle.z);
+        this.selectionRing.scale.setScalar(obstacle.radius * 1.15);
+    }
+
+    dispose() {
+        this.removeEventListeners();
+        this.scene.remove(this.selectionRing);
+        this.selectionRing.geometry.dispose();
+        this.selectionRing.material.dispose();
+    }
+}
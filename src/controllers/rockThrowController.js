@@ -1,5 +1,12 @@
 import * as THREE from "three";
-import Rock, { rockTypes } from "../objects/rock";
+import Rock, { createStone, rockPhysicsParams, stoneOptions } from "../objects/rock";
+import Drips from "../objects/drips.js";
+import Splashes from "../objects/splashes.js";
+import { getActiveRockType, getRockType, setActiveRockType } from "../objects/rockTypes.js";
+import { DEFAULT_STONE_OPTIONS } from "../objects/stoneGenerator.js";
+import { advanceRock, createRockState, launchRock, resolveRockParams } from "../physics/rockPhysics.js";
+import { advanceRocks } from "../physics/rockCollisions.js";
+import { surfaceEnv } from "../physics/waterSurface.js";
 
 export default class RockThrowController {
     constructor(options = {}) {
@@ -9,6 +16,12 @@ export default class RockThrowController {
         this.water = options.water;
         this.waterPlaneSize = options.waterPlaneSize || { width: 2, height: 2 };
         this.envMap = options.envMap || null; // Store environment map
+        this.obstacles = options.obstacles || null; // Boulders, posts and floats the rocks can hit
+
+        // Stone shape of the starting rock type, for the shape options it
+        // does not get explicitly
+        const rockType = options.rockType || getActiveRockType();
+        const shape = { ...DEFAULT_STONE_OPTIONS, ...getRockType(rockType).shape };
 
         // Central options for all rocks
         this.rockOptions = {
@@ -19,11 +32,24 @@ export default class RockThrowController {
             // Move throwVelocity to rockOptions for UI control
             throwVelocity: options.throwVelocity || 12.0,
             floorDepth: options.floorDepth || -0.5,
-            rockType: "cracked_boulder", // Default rock type
+            rockType, // Default rock type
             displacementScale: 0.05,
             textureRepeat: new THREE.Vector2(2, 2),
             envMap: this.envMap, // Pass environment map to rocks
-            mass: options.mass || 0.1,
+            skipModel: options.skipModel || "hydrodynamic", // Force-based contact, or "arcade" for the angle rule
+            tiltAngle: options.tiltAngle ?? 20, // Release tilt, degrees nose-up relative to the water
+            spinRate: options.spinRate ?? 10, // Release spin, revolutions per second
+
+            // Shape of the stones; every throw generates its own from its seed
+            radius: options.radius || 0.05, // Size: half the length of the stone
+            flatness: options.flatness ?? shape.flatness,
+            ellipticity: options.ellipticity ?? shape.ellipticity,
+            edgeRoundness: options.edgeRoundness ?? shape.edgeRoundness,
+            surfaceNoise: options.surfaceNoise ?? shape.surfaceNoise,
+            shapeVariation: options.shapeVariation ?? shape.variation,
+
+            // Shared with the obstacles, which keep it up to date
+            obstacles: this.obstacles ? this.obstacles.colliders : [],
         };
 
         // DOM element for event listeners
@@ -40,6 +66,14 @@ export default class RockThrowController {
         this.activeRocks = [];
         this.rockPoolSize = options.rockPoolSize || 5;
 
+        // How many thrown rocks may stay around, and how they go
+        this.lifecycle = {
+            maxRocks: options.maxRocks ?? 30, // Rocks in the scene and the pool together
+            maxRestingRocks: options.maxRestingRocks ?? 10, // Rocks left lying on the floor
+            restingLifetime: options.restingLifetime ?? 0, // Seconds a rock lies before it fades; 0 keeps it
+            fadeDuration: options.fadeDuration ?? 1.5, // Seconds a retired rock takes to fade out
+        };
+
         // Initialize rock pool
         this.initRockPool();
 
@@ -51,9 +85,25 @@ export default class RockThrowController {
             -this.waterPlaneSize.height * 0.5 // end of the pool (half of the length of the pool)
         );
 
+        // Every throw gets its own seed so a session can be replayed exactly
+        this.throwSeed = options.seed ?? 1;
+
+        // The stone the next throw will use, see getNextStone()
+        this.nextStone = null;
+        this.nextStoneKey = null;
+
         // Create visual aids
         this.createThrowPositionMarker();
         this.createTrajectoryLine();
+        this.createPreviewMarkers();
+
+        // Drops shed by wet rocks between skips
+        this.drips = new Drips();
+        this.scene.add(this.drips.points);
+
+        // Spray, droplets and foam thrown up where rocks hit the water
+        this.splashes = new Splashes({ water: this.water });
+        this.scene.add(this.splashes);
 
         // Bind event handlers
         this.onKeyDown = this.onKeyDown.bind(this);
@@ -64,6 +114,9 @@ export default class RockThrowController {
 
         // Debug mode for velocity logging
         this.debug = false;
+
+        // Frame time not yet consumed by the shared physics substeps
+        this.physicsAccumulator = 0;
     }
 
     initRockPool() {
@@ -99,19 +152,97 @@ export default class RockThrowController {
             opacity: 0.6,
         });
 
-        // Create geometry with initial points (will be updated in real-time)
-        const points = this.predictTrajectory(this.throwPosition, new THREE.Vector3(0, 1, 0), 2);
-        const geometry = new THREE.BufferGeometry().setFromPoints(points);
+        // Start with an empty line at the throw position (will be updated in real-time)
+        const geometry = new THREE.BufferGeometry().setFromPoints([this.throwPosition.clone()]);
 
         this.trajectoryLine = new THREE.Line(geometry, material);
         this.trajectoryLine.computeLineDistances(); // Required for dashed lines
+        this.trajectoryLine.visible = false;
         this.scene.add(this.trajectoryLine);
+
+        // Inputs the current preview was computed from
+        this.trajectoryKey = null;
+    }
+
+    // Create the markers showing where the preview predicts skips and the sink
+    createPreviewMarkers() {
+        this.previewMarkerGeometry = new THREE.RingGeometry(0.06, 0.09, 24);
+        this.skipMarkerMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+        });
+        this.sinkMarkerMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff3333,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide,
+            depthWrite: false,
+        });
+
+        this.previewMarkers = new THREE.Group();
+        this.scene.add(this.previewMarkers);
+    }
+
+    // Place one marker on the water per predicted skip or sink, reusing the
+    // marker meshes from earlier previews
+    showPreviewMarkers(events) {
+        events.forEach((event, index) => {
+            let marker = this.previewMarkers.children[index];
+            if (!marker) {
+                marker = new THREE.Mesh(this.previewMarkerGeometry, this.skipMarkerMaterial);
+                marker.rotation.x = -Math.PI / 2; // Lie flat on the water
+                this.previewMarkers.add(marker);
+            }
+
+            const isSink = event.type === "sink";
+            marker.material = isSink ? this.sinkMarkerMaterial : this.skipMarkerMaterial;
+            marker.scale.setScalar(isSink ? 1.5 : 1);
+            marker.position.set(event.position.x, 0.01, event.position.z); // Just above the water
+            marker.visible = true;
+        });
+
+        // Hide the markers left over from longer previews
+        for (let i = events.length; i < this.previewMarkers.children.length; i++) {
+            this.previewMarkers.children[i].visible = false;
+        }
+    }
+
+    hideTrajectoryPreview() {
+        this.trajectoryLine.visible = false;
+        this.showPreviewMarkers([]);
+    }
+
+    // The stone the next throw will use, generated from the shape options and
+    // the throw seed so the preview can use its mass properties. It is only
+    // regenerated when one of them changes.
+    getNextStone() {
+        const key = JSON.stringify([stoneOptions(this.rockOptions, this.throwSeed), this.rockOptions.rockType]);
+        if (this.nextStone && key === this.nextStoneKey) return this.nextStone;
+
+        if (this.nextStone) this.nextStone.geometry.dispose();
+        this.nextStone = createStone(this.rockOptions, this.throwSeed);
+        this.nextStoneKey = key;
+        return this.nextStone;
     }
 
     getRockFromPool() {
+        // At the cap, recycle the rock that has rested longest, or failing
+        // that the oldest one still moving
+        if (this.rockPool.length === 0 && this.activeRocks.length >= this.lifecycle.maxRocks) {
+            const [longestResting] = this.getRestingRocks();
+            this.returnRockToPool(longestResting || this.activeRocks[0]);
+        }
+
         // Return a rock from the pool or create a new one if needed
         if (this.rockPool.length > 0) {
-            return this.rockPool.pop();
+            const rock = this.rockPool.pop();
+            // Bring it up to date, re-skinned if the rock type changed
+            Object.assign(rock.options, this.rockOptions);
+            rock.applyRockType();
+            return rock;
         } else {
             return new Rock({
                 waterPlaneSize: this.waterPlaneSize,
@@ -120,6 +251,41 @@ export default class RockThrowController {
         }
     }
 
+    // Resting rocks that are not fading yet, the longest resting first
+    getRestingRocks() {
+        return this.activeRocks
+            .filter((rock) => rock.getLifecycleState() === "resting" && !rock.isFading())
+            .sort((a, b) => b.restingAge - a.restingAge);
+    }
+
+    // Age and dry the thrown rocks, and fade out resting rocks beyond the cap
+    // or past their lifetime, longest resting first
+    updateRockLifecycles(deltaTime) {
+        const { maxRestingRocks, restingLifetime, fadeDuration } = this.lifecycle;
+        this.activeRocks.forEach((rock) => {
+            rock.updateLifecycle(deltaTime);
+            rock.updateWetness(deltaTime, this.drips);
+        });
+
+        const resting = this.getRestingRocks();
+        const excess = resting.length - maxRestingRocks;
+        resting.forEach((rock, i) => {
+            if (i < excess || (restingLifetime > 0 && rock.restingAge >= restingLifetime)) {
+                rock.fadeOut(fadeDuration);
+            }
+        });
+    }
+
+    // Number of thrown rocks in each lifecycle state
+    getLifecycleCounts() {
+        const counts = { "in-flight": 0, skipping: 0, sinking: 0, resting: 0 };
+        this.activeRocks.forEach((rock) => {
+            const state = rock.getLifecycleState();
+            if (state in counts) counts[state]++;
+        });
+        return counts;
+    }
+
     returnRockToPool(rock) {
         // Update rock options from the central options
         Object.assign(rock.options, this.rockOptions);
@@ -155,8 +321,7 @@ export default class RockThrowController {
         this.mousePos.x = (event.clientX / window.innerWidth) * 2 - 1;
         this.mousePos.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
-        // Update trajectory line
-        this.updateTrajectoryLine();
+        // The trajectory line picks up the new aim on the next update()
     }
 
     onKeyDown(event) {
@@ -167,6 +332,28 @@ export default class RockThrowController {
         }
     }
 
+    // Everything the preview depends on: the aim point on the water (to the
+    // centimetre, so a camera still settling does not rerun it), the throw
+    // position, the next throw seed, the rock options (power, tilt, spin,
+    // rock type, ...), the obstacles and the current. The preview is only
+    // recomputed when this changes.
+    getTrajectoryKey(targetPoint) {
+        const options = Object.entries(this.rockOptions).filter(([, value]) => typeof value !== "object");
+        const centimetres = (value) => Math.round(value * 100);
+        const obstacles = this.obstacles
+            ? this.obstacles.colliders.map(({ x, z, radius }) => [x, z, radius].map(centimetres))
+            : [];
+        const current = this.water ? this.water.current : null;
+        return JSON.stringify([
+            targetPoint ? targetPoint.toArray().map(centimetres) : null,
+            this.throwPosition.toArray(),
+            this.throwSeed,
+            options,
+            obstacles,
+            current,
+        ]);
+    }
+
     // Update the trajectory line based on current mouse position
     updateTrajectoryLine() {
         if (!this.trajectoryLine) return;
@@ -181,6 +368,10 @@ export default class RockThrowController {
         // Calculate the intersection with the water plane
         const didIntersect = this.raycaster.ray.intersectPlane(waterPlane, targetPoint);
 
+        const key = this.getTrajectoryKey(didIntersect ? targetPoint : null);
+        if (key === this.trajectoryKey) return;
+        this.trajectoryKey = key;
+
         if (didIntersect) {
             // Check if the intersection point is within water bounds
             const halfWidth = this.waterPlaneSize.width / 2;
@@ -210,21 +401,23 @@ export default class RockThrowController {
                 // Calculate velocity using the common function
                 const velocityVector = this.calculateVelocityForTarget(throwDirection, distance);
 
-                // Generate trajectory points
-                const trajectoryPoints = this.predictTrajectory(this.throwPosition, velocityVector, 50);
+                // Run the throw forward with the rock physics
+                const { points, events } = this.predictTrajectory(this.throwPosition, velocityVector);
 
                 // Update line geometry
                 this.trajectoryLine.geometry.dispose();
-                this.trajectoryLine.geometry = new THREE.BufferGeometry().setFromPoints(trajectoryPoints);
+                this.trajectoryLine.geometry = new THREE.BufferGeometry().setFromPoints(points);
                 this.trajectoryLine.computeLineDistances();
                 this.trajectoryLine.visible = true;
+
+                this.showPreviewMarkers(events);
             } else {
                 // Hide trajectory if target is outside water bounds
-                this.trajectoryLine.visible = false;
+                this.hideTrajectoryPreview();
             }
         } else {
             // Hide trajectory if no intersection
-            this.trajectoryLine.visible = false;
+            this.hideTrajectoryPreview();
         }
     }
 
@@ -260,48 +453,50 @@ export default class RockThrowController {
         return velocityVector;
     }
 
-    // Predict trajectory based on starting position and velocity
-    predictTrajectory(startPosition, velocity, steps = 50) {
-        const points = [];
-        const position = startPosition.clone();
-        const vel = velocity.clone();
-        // REDUCED: Match the reduced gravity from the Rock class
-        const gravity = new THREE.Vector3(0, -4.9, 0);
-        // REDUCED: Match the reduced drag from Rock class
-        const drag = 0.05;
-        const timeStep = 0.1;
-
-        // Add starting point
-        points.push(position.clone());
-
-        for (let i = 0; i < steps; i++) {
-            // Apply gravity
-            vel.add(gravity.clone().multiplyScalar(timeStep));
-
-            // Apply drag
-            const dragForce = vel
-                .clone()
-                .normalize()
-                .multiplyScalar(-0.5 * drag * vel.lengthSq() * timeStep);
-            vel.add(dragForce);
-
-            // Update position
-            position.add(vel.clone().multiplyScalar(timeStep));
-
-            // Add point to trajectory
-            points.push(position.clone());
-
-            // Stop if we hit the water plane
-            if (position.y < 0) {
-                // Add one more point slightly below water for better visualization
-                const waterHitPos = position.clone();
-                waterHitPos.y = -0.05;
-                points.push(waterHitPos);
-                break;
-            }
+    // Predict a throw by running the rock physics forward with the current
+    // rock options and the seed the next throw will use, so the preview follows
+    // the same path as the thrown rock. The water is taken as flat: the ripples
+    // will have moved on by the time the rock gets there. The obstacles are
+    // where they are now, and the current drags the rock along once it is in
+    // the water.
+    // Returns the path up to the point where the rock sinks or stops, and the
+    // skip and sink events along it. The parameters are resolved once for
+    // the whole prediction.
+    predictTrajectory(startPosition, velocity, frameTime = 1 / 60, maxTime = 10) {
+        // The floats give way to the stone through their colliders; the
+        // preview knocks copies of them
+        const obstacles = this.rockOptions.obstacles.map((obstacle) => ({
+            ...obstacle,
+            velocity: { ...obstacle.velocity },
+        }));
+        const params = resolveRockParams(
+            rockPhysicsParams(
+                { waterPlaneSize: this.waterPlaneSize, ...this.rockOptions, obstacles },
+                this.getNextStone()
+            )
+        );
+        let state = launchRock(createRockState({ position: startPosition }), velocity, {
+            seed: this.throwSeed,
+            tiltAngle: params.tiltAngle,
+            spinRate: params.spinRate,
+        });
+
+        const points = [state.position.clone()];
+        const events = [];
+        const env = surfaceEnv(this.water, { flat: true });
+
+        let ended = false;
+        while (!ended && state.isActive && !state.hasSunk && state.time < maxTime) {
+            const result = advanceRock(state, params, frameTime, env);
+            state = result.state;
+            points.push(state.position.clone());
+            result.events.forEach((event) => {
+                if (event.type === "skip" || event.type === "sink") events.push(event);
+                if (event.type === "sink" || event.type === "stop") ended = true;
+            });
         }
 
-        return points;
+        return { points, events };
     }
 
     throwRock() {
@@ -335,12 +530,14 @@ export default class RockThrowController {
             const distance = throwDirection.length();
 
             // Log target information
-            console.log(
-                `Throwing rock at target: (${targetPoint.x.toFixed(2)}, ${targetPoint.y.toFixed(
-                    2
-                )}, ${targetPoint.z.toFixed(2)})`
-            );
-            console.log(`Target distance: ${distance.toFixed(2)}`);
+            if (this.debug) {
+                console.log(
+                    `Throwing rock at target: (${targetPoint.x.toFixed(2)}, ${targetPoint.y.toFixed(
+                        2
+                    )}, ${targetPoint.z.toFixed(2)})`
+                );
+                console.log(`Target distance: ${distance.toFixed(2)}`);
+            }
 
             // Normalize the direction vector
             throwDirection.normalize();
@@ -348,24 +545,61 @@ export default class RockThrowController {
             // Use the common velocity calculation function
             const velocityVector = this.calculateVelocityForTarget(throwDirection, distance);
 
+            // Give the rock the stone the preview was computed for
+            rock.setStone(this.getNextStone());
+            this.nextStone = null;
+
             // Apply velocity to rock
-            rock.setVelocity(velocityVector.x, velocityVector.y, velocityVector.z);
+            rock.setVelocity(velocityVector.x, velocityVector.y, velocityVector.z, this.throwSeed++);
 
             // Add to active rocks and scene
             this.activeRocks.push(rock);
             this.scene.add(rock.mesh);
-        } else {
+        } else if (this.debug) {
             console.log("Target out of bounds:", targetPoint);
         }
     }
 
+    // Switch new throws to another rock type, with the stone shape that type
+    // is usually found in
+    setRockType(name) {
+        const rockType = getRockType(name);
+        if (!rockType) return;
+
+        const shape = { ...DEFAULT_STONE_OPTIONS, ...rockType.shape };
+        Object.assign(this.rockOptions, {
+            rockType: name,
+            flatness: shape.flatness,
+            ellipticity: shape.ellipticity,
+            edgeRoundness: shape.edgeRoundness,
+            surfaceNoise: shape.surfaceNoise,
+        });
+        setActiveRockType(name);
+        this.updateAllRocksOptions();
+    }
+
+    // Follow a change of the pool's size or depth: rocks collide with the new
+    // walls and floor, and throws start from the new end of the pool
+    setPoolSize(planeSize, floorDepth) {
+        this.waterPlaneSize = { width: planeSize.width, height: planeSize.height };
+        this.rockOptions.floorDepth = floorDepth;
+        [...this.rockPool, ...this.activeRocks].forEach((rock) => {
+            rock.options.waterPlaneSize = this.waterPlaneSize;
+        });
+        this.updateAllRocksOptions();
+
+        this.throwPosition.z = -this.waterPlaneSize.height * 0.5;
+        this.throwMarker.position.copy(this.throwPosition);
+        this.trajectoryKey = null; // The pool is not part of the key
+    }
+
     updateAllRocksOptions() {
         // Update all rocks in pool
         this.rockPool.forEach((rock) => {
             Object.assign(rock.options, this.rockOptions);
             // Apply texture repeat updates to existing rocks
             if (rock.mesh && rock.mesh.material) {
-                const textures = rockTypes[rock.options.rockType];
+                const textures = getRockType(rock.options.rockType) || {};
 
                 if (textures.diffuse) {
                     textures.diffuse.repeat.copy(rock.options.textureRepeat);
@@ -390,7 +624,7 @@ export default class RockThrowController {
             Object.assign(rock.options, this.rockOptions);
 
             if (rock.mesh && rock.mesh.material) {
-                const textures = rockTypes[rock.options.rockType];
+                const textures = getRockType(rock.options.rockType) || {};
 
                 if (textures.diffuse) {
                     textures.diffuse.repeat.copy(rock.options.textureRepeat);
@@ -412,20 +646,92 @@ export default class RockThrowController {
     }
 
     update(deltaTime) {
-        // Update all active rocks
+        // Keep the preview in step with option changes and camera movement
+        this.updateTrajectoryLine();
+
+        // Step all active rocks together so they can collide with each other,
+        // against the simulated water surface
+        const result = advanceRocks(
+            this.activeRocks.map((rock) => rock.state),
+            this.activeRocks.map((rock) => rock.physicsParams()),
+            deltaTime,
+            surfaceEnv(this.water),
+            this.physicsAccumulator
+        );
+        this.physicsAccumulator = result.accumulator;
+
+        this.activeRocks.forEach((rock, i) => {
+            rock.applyPhysics(result.states[i], result.events[i], this.water);
+            this.pushObstacles(result.events[i]);
+            result.events[i].forEach((event) => this.splashes.emitImpact(event, rock.stone.physics.radius));
+        });
+        result.collisions.forEach((event) => this.handleRockCollision(event));
+
+        this.updateRockLifecycles(deltaTime);
+        this.drips.update(deltaTime, this.water);
+        this.splashes.update(deltaTime);
+
         for (let i = this.activeRocks.length - 1; i >= 0; i--) {
             const rock = this.activeRocks[i];
 
-            // Update rock physics
-            rock.update(deltaTime, 0, this.water);
-
-            // Check if rock has finished its trajectory
+            // Pool rocks that flew out or have faded away
             if (rock.isFinished()) {
                 this.returnRockToPool(rock);
+            } else {
+                this.requestWaterAroundRock(rock, deltaTime);
             }
         }
     }
 
+    // Rocks that hit a float knock it away
+    pushObstacles(events) {
+        if (!this.obstacles) return;
+        events.forEach((event) => {
+            if (event.surface === "obstacle") {
+                this.obstacles.push(event.obstacle, event.impulse.clone().negate());
+            }
+        });
+    }
+
+    // The obstacles or the current changed: the preview has to be worked out
+    // again
+    invalidateTrajectory() {
+        this.trajectoryKey = null;
+    }
+
+    // Two rocks knocked into each other. A hit at the surface sends out a
+    // ripple; underwater or in the air it does not.
+    handleRockCollision(event) {
+        if (!this.water) return;
+
+        const surface = this.water.sampleSurface(event.position.x, event.position.z);
+        const radius = this.rockOptions.radius || 0.05;
+        if (Math.abs(event.position.y - surface.height) > radius * 2) return;
+
+        this.water.addDisturbance(
+            this.water.worldToUv(event.position.x, event.position.z),
+            this.water.simulationMaterial.uniforms.uDisturbanceAmount.value * event.intensity,
+            { size: radius }
+        );
+    }
+
+    // Ask the water to read back the surface the rock can reach next frame,
+    // so its collisions see the ripples instead of flat water
+    requestWaterAroundRock(rock, deltaTime) {
+        if (!this.water || !rock.isSimulating()) return;
+
+        // Two frames of travel, plus the stone itself
+        const frameTime = Math.max(deltaTime, 1 / 60);
+        const reach = rock.velocity.length() * frameTime * 2 + rock.options.radius * 2;
+        const position = rock.position;
+        this.water.requestSurfaceRegion(
+            position.x - reach,
+            position.z - reach,
+            position.x + reach,
+            position.z + reach
+        );
+    }
+
     dispose() {
         // Clean up
         this.removeEventListeners();
@@ -443,6 +749,28 @@ export default class RockThrowController {
             this.trajectoryLine.material.dispose();
         }
 
+        if (this.previewMarkers) {
+            this.scene.remove(this.previewMarkers);
+            this.previewMarkerGeometry.dispose();
+            this.skipMarkerMaterial.dispose();
+            this.sinkMarkerMaterial.dispose();
+        }
+
+        if (this.drips) {
+            this.scene.remove(this.drips.points);
+            this.drips.dispose();
+        }
+
+        if (this.splashes) {
+            this.scene.remove(this.splashes);
+            this.splashes.dispose();
+        }
+
+        if (this.nextStone) {
+            this.nextStone.geometry.dispose();
+            this.nextStone = null;
+        }
+
         // Return all active rocks to pool
         while (this.activeRocks.length > 0) {
             this.returnRockToPool(this.activeRocks[0]);
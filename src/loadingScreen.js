@@ -0,0 +1,79 @@
+// Loading overlay shown while the asset manager loads, and the warning box
+// listing the assets that had to fall back.
+
+// Cover the page with a progress bar until hide() is called
+export function showLoadingScreen(assets) {
+    const overlay = document.createElement('div');
+    overlay.style.position = 'fixed';
+    overlay.style.inset = '0';
+    overlay.style.display = 'flex';
+    overlay.style.flexDirection = 'column';
+    overlay.style.alignItems = 'center';
+    overlay.style.justifyContent = 'center';
+    overlay.style.gap = '12px';
+    overlay.style.backgroundColor = '#10171c';
+    overlay.style.color = 'white';
+    overlay.style.fontFamily = 'Arial, sans-serif';
+    overlay.style.fontSize = '14px';
+    overlay.style.zIndex = '1000';
+    overlay.style.transition = 'opacity 0.4s';
+
+    overlay.innerHTML = `
+        <h3 style="margin: 0;">Rock Skipping Simulation</h3>
+        <div style="width: 240px; height: 6px; background: rgba(255, 255, 255, 0.2); border-radius: 3px;">
+            <div data-bar style="width: 0%; height: 100%; background: white; border-radius: 3px; transition: width 0.2s;"></div>
+        </div>
+        <div data-status>Loading assets...</div>
+    `;
+    const bar = overlay.querySelector('[data-bar]');
+    const status = overlay.querySelector('[data-status]');
+    document.body.appendChild(overlay);
+
+    const stopListening = assets.onProgress((loaded, total) => {
+        bar.style.width = `${(100 * loaded) / total}%`;
+        status.textContent = `Loading assets... ${loaded} / ${total}`;
+    });
+
+    return {
+        hide() {
+            stopListening();
+            overlay.style.opacity = '0';
+            overlay.style.pointerEvents = 'none';
+            setTimeout(() => overlay.remove(), 400);
+        },
+    };
+}
+
+// Show the asset warnings in a box in the corner that can be closed
+export function showAssetWarnings(warnings) {
+    if (warnings.length === 0) return;
+
+    const box = document.createElement('div');
+    box.style.position = 'absolute';
+    box.style.bottom = '20px';
+    box.style.left = '20px';
+    box.style.maxWidth = '420px';
+    box.style.color = '#ffe08a';
+    box.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    box.style.padding = '10px';
+    box.style.borderRadius = '5px';
+    box.style.fontFamily = 'Arial, sans-serif';
+    box.style.fontSize = '13px';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Some assets are missing, fallbacks are in use:';
+    const list = document.createElement('ul');
+    list.style.margin = '6px 0';
+    list.style.paddingLeft = '20px';
+    warnings.forEach((warning) => {
+        const item = document.createElement('li');
+        item.textContent = warning;
+        list.appendChild(item);
+    });
+    const close = document.createElement('button');
+    close.textContent = 'Dismiss';
+    close.addEventListener('click', () => box.remove());
+
+    box.append(title, list, close);
+    document.body.appendChild(box);
+}
@@ -3,7 +3,14 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import Water from './objects/water';
 import Ground from './objects/ground';
 import RockThrowController from './controllers/rockThrowController';
+import Obstacles from './objects/obstacles';
+import ObstacleController from './controllers/obstacleController';
+import Emitters from './objects/emitters';
+import EmitterController from './controllers/emitterController';
 import { setupUI } from './ui';
+import { assets } from './assetManager';
+import { showAssetWarnings, showLoadingScreen } from './loadingScreen';
+import { loadSceneSettings, saveSceneSettings } from './sceneSettings';
 
 /* Gravity, size, weight, all should be in real world units M
  water disturbance should be affected by velocity and mass (force)
@@ -13,9 +20,10 @@ import { setupUI } from './ui';
 
 // Animation setup: Create a clock to track time and set up water resolution and plane size
 const clock = new THREE.Clock();
-const waterResolution = 384;
-const waterPlaneSize = { width: 4, height: 20 };
-const floorDepth = -2;
+// These can be changed from the UI at runtime, see resizePool()
+let waterResolution = 384;
+let waterPlaneSize = { width: 4, height: 20 };
+let floorDepth = -2;
 
 // Track which keys are currently pressed
 const keyState = {
@@ -55,14 +63,12 @@ renderer.domElement.style.margin = '0';
 renderer.domElement.style.padding = '0';
 document.body.appendChild(renderer.domElement);
 
-// Environment map setup: Load the environment map to be used for lighting and reflections
-const cubeTextureLoader = new THREE.CubeTextureLoader();
-// cubeTextureLoader.setPath('/');
-// const environmentMapPromise = cubeTextureLoader.loadAsync('sky.hdr')
-// cubeTextureLoader.setPath('/water_scene/');
-// const environmentMapPromise = cubeTextureLoader.loadAsync([ 'px.jpg', 'nx.jpg', 'py.jpg', 'ny.jpg', 'pz.jpg', 'nz.jpg']);
-cubeTextureLoader.setPath('/sunsetEnv/');
- const environmentMapPromise = cubeTextureLoader.loadAsync([ 'px.png', 'nx.png', 'py.png', 'ny.png', 'pz.png', 'nz.png']);
+// Environment map setup: Load the environment map to be used for lighting and reflections.
+// It resolves to null if it is missing; the scene then falls back to a plain sky colour.
+const environmentMapPromise = assets.loadCubeTexture(
+    ['px.png', 'nx.png', 'py.png', 'ny.png', 'pz.png', 'nz.png'].map((face) => `/sunsetEnv/${face}`),
+    { fallbackDescription: 'a plain sky colour' }
+);
 
 // Set up camera position and controls
 camera.position.set(0, 1.5, -(waterPlaneSize.height || 10) / 2 - 2);
@@ -102,13 +108,19 @@ directionalLight.shadow.mapSize.width = 1024;
 directionalLight.shadow.mapSize.height = 1024;
 directionalLight.shadow.camera.near = 0.1;
 directionalLight.shadow.camera.far = 20;
-directionalLight.shadow.camera.left = -waterPlaneSize.width;
-directionalLight.shadow.camera.right = waterPlaneSize.width;
-directionalLight.shadow.camera.top = waterPlaneSize.height;
-directionalLight.shadow.camera.bottom = -waterPlaneSize.height;
+fitShadowCamera(waterPlaneSize);
 
 scene.add(directionalLight);
 
+// Make the shadow camera cover the pool
+function fitShadowCamera(planeSize) {
+  directionalLight.shadow.camera.left = -planeSize.width;
+  directionalLight.shadow.camera.right = planeSize.width;
+  directionalLight.shadow.camera.top = planeSize.height;
+  directionalLight.shadow.camera.bottom = -planeSize.height;
+  directionalLight.shadow.camera.updateProjectionMatrix();
+}
+
 // Optional: Add a helper to visualize the shadow camera
 // const shadowHelper = new THREE.CameraHelper(directionalLight.shadow.camera);
 // scene.add(shadowHelper);
@@ -120,18 +132,36 @@ lightDirection.copy(directionalLight.position).normalize();
 let water;
 
 // --- Ground Object ---
-const ground = new Ground({ planeSize: waterPlaneSize, floorDepth: floorDepth });
-ground.receiveShadow = true;
-scene.add(ground);
+let ground;
 
 // --- Rock Throw Controller ---
 let rockThrowController;
 
+// --- Obstacles ---
+let obstacles;
+let obstacleController;
+
+// --- Rain, Drippers and Brush ---
+let emitters;
+let emitterController;
+
 // --- Async Initialization ---
 async function initializeScene() {
+    // The ground textures are in by now
+    ground = new Ground({ planeSize: waterPlaneSize, floorDepth: floorDepth });
+    ground.receiveShadow = true;
+    scene.add(ground);
+
+    // Obstacles come back from the scene settings once the water is there
+    obstacles = new Obstacles({ waterPlaneSize: waterPlaneSize, floorDepth: floorDepth, onChange: onObstaclesChange });
+    scene.add(obstacles);
+
     try {
         // Load the environment map and set it as the scene background and environment
         const loadedEnvMap = await environmentMapPromise;
+        if (!loadedEnvMap) {
+            throw new Error('Environment map is missing');
+        }
         scene.background = loadedEnvMap;
         scene.environment = loadedEnvMap;
 
@@ -157,10 +187,13 @@ async function initializeScene() {
             skipAngleThreshold: 17,
             floorDepth: floorDepth,
             envMap: loadedEnvMap,
+            obstacles: obstacles,
         });
+        setupObstacles();
+        setupEmitters();
 
         // Setup the UI after the water and ground objects are created
-        setupUI({ waterResolution, water, ground, rockThrowController });
+        setupUI({ waterResolution, water, ground, rockThrowController, obstacles, obstacleController, emitters, emitterController, pool: poolSettings(), resizePool });
         showInstructions();
         animate();
 
@@ -188,15 +221,86 @@ async function initializeScene() {
             throwVelocity: 10.0,
             skipAngleThreshold: 17,
             floorDepth: floorDepth,
+            obstacles: obstacles,
         });
+        setupObstacles();
+        setupEmitters();
 
         // still setup UI even though some wont be functional
-        setupUI({ waterResolution, water, ground, rockThrowController });
+        setupUI({ waterResolution, water, ground, rockThrowController, obstacles, obstacleController, emitters, emitterController, pool: poolSettings(), resizePool });
         showInstructions();
         animate();
     }
 }
 
+// --- Obstacles ---
+// Bring back the saved obstacles and let them be edited in the scene
+function setupObstacles() {
+    obstacles.load(loadSceneSettings().obstacles);
+    obstacleController = new ObstacleController({
+        scene: scene,
+        camera: camera,
+        obstacles: obstacles,
+        controls: controls,
+        domElement: renderer.domElement,
+    });
+}
+
+// Obstacles were placed, moved or removed: the waves and the throw preview
+// follow them, and the placement is saved with the scene settings
+function onObstaclesChange() {
+    if (water) obstacles.paintMask(water);
+    if (rockThrowController) rockThrowController.invalidateTrajectory();
+    saveSceneSettings({ obstacles: obstacles.toJSON() });
+}
+
+// --- Rain, Drippers and Brush ---
+// Disturb the water without rocks; the drippers come back from the scene
+// settings
+function setupEmitters() {
+    emitters = new Emitters({ water: water, onChange: onEmittersChange });
+    emitters.load(loadSceneSettings().drippers);
+    scene.add(emitters);
+    emitterController = new EmitterController({
+        camera: camera,
+        water: water,
+        emitters: emitters,
+        controls: controls,
+        domElement: renderer.domElement,
+    });
+}
+
+function onEmittersChange() {
+    saveSceneSettings({ drippers: emitters.toJSON() });
+}
+
+// --- Pool Size ---
+// Current simulation resolution and pool size, for the UI
+function poolSettings() {
+    return {
+        resolution: waterResolution,
+        width: waterPlaneSize.width,
+        length: waterPlaneSize.height,
+        depth: -floorDepth,
+    };
+}
+
+// Change the simulation resolution and the pool's width, length and depth
+// without reloading: the water resamples its waves onto the new grid, and the
+// ground, the shadow camera and the rock throws follow the new pool
+function resizePool({ resolution, width, length, depth }) {
+    waterResolution = resolution;
+    waterPlaneSize = { width, height: length };
+    floorDepth = -depth;
+
+    water.resize({ resolution, planeSize: waterPlaneSize, floorDepth }, renderer);
+    ground.setSize(waterPlaneSize, floorDepth);
+    fitShadowCamera(waterPlaneSize);
+    rockThrowController.setPoolSize(waterPlaneSize, floorDepth);
+    obstacles.setPoolSize(waterPlaneSize, floorDepth);
+    emitters.setPoolSize(waterPlaneSize);
+}
+
 // Display instructions for the user
 function showInstructions() {
     const instructions = document.createElement('div');
@@ -221,6 +325,8 @@ function showInstructions() {
             <li>Left Click to rotate camera</li>
             <li>Scroll to zoom in/out</li>
             <li>Right Click to pan around</li>
+            <li>Editing obstacles: Shift+Click to place, drag to move, Delete to remove</li>
+            <li>Brush mode: drag on the water to draw a wake</li>
         </ul>
     `;
 
@@ -291,6 +397,18 @@ function animate() {
         ground.update(elapsedTime);
     }
 
+    if (obstacles) {
+        obstacles.update(deltaTime, water);
+    }
+
+    if (obstacleController) {
+        obstacleController.update();
+    }
+
+    if (emitters) {
+        emitters.update(deltaTime);
+    }
+
     if (rockThrowController) {
         rockThrowController.update(deltaTime);
     }
@@ -306,12 +424,12 @@ window.addEventListener('resize', () => {
 
     // Update renderer size to match window exactly
     renderer.setSize(window.innerWidth, window.innerHeight, false);
-
-    // Update water resolution if needed
-    if (water && water.updateResolution) {
-        water.updateResolution();
-    }
 });
 
-// Initialize the scene
-initializeScene();
\ No newline at end of file
+// Initialize the scene once every asset has loaded or fallen back
+const loadingScreen = showLoadingScreen(assets);
+assets.whenLoaded().then(() => {
+    loadingScreen.hide();
+    showAssetWarnings(assets.warnings);
+    initializeScene();
+});
\ No newline at end of file
@@ -0,0 +1,99 @@
+import * as THREE from "three";
+
+// Drops of water shed by wet rocks in flight.
+// A fixed pool of points: each drop leaves the rock with its velocity plus a
+// little scatter, falls under gravity and disappears when it falls through
+// the water level or runs out of time.
+
+const GRAVITY = 9.81; // m/s^2
+
+export default class Drips {
+    constructor(options = {}) {
+        this.options = {
+            maxDrops: options.maxDrops || 400,
+            lifetime: options.lifetime || 1.5, // Seconds before a drop is dropped regardless
+            scatter: options.scatter ?? 0.4, // m/s of random velocity on top of the rock's
+            size: options.size || 0.012,
+        };
+
+        const { maxDrops } = this.options;
+        this.count = 0;
+        this.positions = new Float32Array(maxDrops * 3);
+        this.velocities = new Float32Array(maxDrops * 3);
+        this.ages = new Float32Array(maxDrops);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute("position", new THREE.BufferAttribute(this.positions, 3).setUsage(THREE.DynamicDrawUsage));
+        geometry.setDrawRange(0, 0);
+
+        this.points = new THREE.Points(
+            geometry,
+            new THREE.PointsMaterial({
+                color: 0xdceeff,
+                size: this.options.size,
+                transparent: true,
+                opacity: 0.7,
+                depthWrite: false,
+            })
+        );
+        // The drops move every frame; their bounds are never up to date
+        this.points.frustumCulled = false;
+    }
+
+    // Shed a drop at a position with the velocity of what it falls from. When
+    // the pool is full the drop is not shed.
+    emit(position, velocity) {
+        if (this.count >= this.options.maxDrops) return;
+
+        const i = this.count++;
+        const { scatter } = this.options;
+        this.positions[i * 3] = position.x;
+        this.positions[i * 3 + 1] = position.y;
+        this.positions[i * 3 + 2] = position.z;
+        this.velocities[i * 3] = velocity.x + (Math.random() - 0.5) * scatter;
+        this.velocities[i * 3 + 1] = velocity.y + (Math.random() - 0.5) * scatter;
+        this.velocities[i * 3 + 2] = velocity.z + (Math.random() - 0.5) * scatter;
+        this.ages[i] = 0;
+    }
+
+    // Move the drops and remove those that reached the water level (the
+    // water's rest height, or 0 without water)
+    update(deltaTime, water = null) {
+        const { lifetime } = this.options;
+        const waterLevel = water ? water.position.y : 0;
+
+        for (let i = this.count - 1; i >= 0; i--) {
+            const p = i * 3;
+            this.velocities[p + 1] -= GRAVITY * deltaTime;
+            this.positions[p] += this.velocities[p] * deltaTime;
+            this.positions[p + 1] += this.velocities[p + 1] * deltaTime;
+            this.positions[p + 2] += this.velocities[p + 2] * deltaTime;
+            this.ages[i] += deltaTime;
+
+            if (this.positions[p + 1] <= waterLevel || this.ages[i] >= lifetime) {
+                this.remove(i);
+            }
+        }
+
+        this.points.geometry.setDrawRange(0, this.count);
+        this.points.geometry.attributes.position.needsUpdate = true;
+    }
+
+    // Remove a drop by moving the last one into its place
+    remove(i) {
+        const last = --this.count;
+        this.positions.copyWithin(i * 3, last * 3, last * 3 + 3);
+        this.velocities.copyWithin(i * 3, last * 3, last * 3 + 3);
+        this.ages[i] = this.ages[last];
+    }
+
+    clear() {
+        this.count = 0;
+        this.points.geometry.setDrawRange(0, 0);
+    }
+
+    dispose() {
+        this.points.geometry.dispose();
+        this.points.material.dispose();
+    }
+}
@@ -0,0 +1,205 @@
+import * as THREE from "three";
+import Drips from "./drips.js";
+
+// Disturbances of the water that do not come from rocks: rain falling over
+// the whole pool, and drippers hanging over fixed points of it, each letting
+// a drop fall every so often. Rain is only seen in its ripples; the drippers
+// are drawn, with their drops. The brush that draws wakes by hand is in
+// EmitterController.
+// A drop's ripple grows with its size and how fast it hits: rain at the
+// terminal speed of its drops, a drip at the speed of its fall. Drops much
+// smaller than a texel of the simulation still ripple a texel.
+// onChange is called whenever drippers are added or removed.
+
+const GRAVITY = 9.81; // m/s^2
+
+// Ripple of a reference drop, 1.5 mm in radius hitting at 6 m/s, relative to
+// uDisturbanceAmount
+const DROP_RIPPLE = 0.015;
+const REFERENCE_DROP_RADIUS = 0.0015; // m
+const REFERENCE_DROP_SPEED = 6; // m/s
+
+// Most raindrops in a frame. A pass of the simulation takes 16 disturbances,
+// so heavier rain than this would add passes every frame; it looks no
+// different.
+const MAX_RAINDROPS_PER_FRAME = 48;
+
+// Terminal speed (m/s) of a raindrop of the given radius (m), after Atlas et
+// al. (1973)
+function terminalSpeed(radius) {
+    const diameterMm = radius * 2000;
+    return Math.max(9.65 - 10.3 * Math.exp(-0.6 * diameterMm), 0.5);
+}
+
+export default class Emitters extends THREE.Group {
+    constructor(options = {}) {
+        super();
+        this.water = options.water || null;
+        this.onChange = options.onChange || null;
+
+        // Rain over the whole pool
+        this.rain = {
+            enabled: false,
+            rate: 50, // Drops per m^2 per s
+            dropSize: 1.5, // Radius of the drops, mm
+        };
+        this.rainDue = 0; // Drops owed to the next frame, a fraction of one
+
+        // Drippers, all set alike
+        this.dripper = {
+            enabled: true,
+            interval: 1, // s between drops
+            height: 0.5, // m above the water
+            dropSize: 2.5, // Radius of the drops, mm
+        };
+        this.drippers = []; // { x, z, wait }, wait being the time to the next drop
+        this.falling = []; // Drips on their way down: { time, x, z }
+        this.time = 0;
+        this.uv = new THREE.Vector2();
+
+        // The drops of the drippers fall straight down
+        this.drops = new Drips({ maxDrops: 100, scatter: 0, size: 0.02 });
+        this.add(this.drops.points);
+
+        this.dripperGeometry = new THREE.ConeGeometry(0.025, 0.06, 12);
+        this.dripperMaterial = new THREE.MeshStandardMaterial({ color: 0x8a8f94, roughness: 0.4, metalness: 0.6 });
+        this.markers = [];
+    }
+
+    // --- Drippers ---
+    addDripper(x, z) {
+        this.insertDripper({ x, z });
+        this.changed();
+    }
+
+    insertDripper({ x, z }) {
+        // A random start keeps drippers added together from dripping together
+        const dripper = { x, z, wait: Math.random() * this.dripper.interval };
+        this.drippers.push(dripper);
+
+        const marker = new THREE.Mesh(this.dripperGeometry, this.dripperMaterial);
+        marker.rotation.x = Math.PI; // Tip down
+        marker.castShadow = true;
+        this.markers.push(marker);
+        this.add(marker);
+        this.placeMarker(dripper, marker);
+    }
+
+    removeAllDrippers() {
+        this.markers.forEach((marker) => this.remove(marker));
+        this.markers = [];
+        this.drippers = [];
+        this.falling = [];
+        this.drops.clear();
+        this.changed();
+    }
+
+    // Replace the drippers with saved ones (see toJSON)
+    load(saved = []) {
+        this.markers.forEach((marker) => this.remove(marker));
+        this.markers = [];
+        this.drippers = [];
+        saved.forEach((data) => {
+            if (data && Number.isFinite(data.x) && Number.isFinite(data.z)) this.insertDripper(data);
+        });
+    }
+
+    // What is saved with the scene settings
+    toJSON() {
+        return this.drippers.map(({ x, z }) => ({ x, z }));
+    }
+
+    // Hang the drippers at the set height, inside the pool
+    setPoolSize(planeSize) {
+        this.drippers.forEach((dripper, i) => {
+            dripper.x = THREE.MathUtils.clamp(dripper.x, -planeSize.width / 2, planeSize.width / 2);
+            dripper.z = THREE.MathUtils.clamp(dripper.z, -planeSize.height / 2, planeSize.height / 2);
+            this.placeMarker(dripper, this.markers[i]);
+        });
+    }
+
+    placeMarker(dripper, marker) {
+        marker.position.set(dripper.x, this.waterLevel() + this.dripper.height, dripper.z);
+    }
+
+    changed() {
+        if (this.onChange) this.onChange(this);
+    }
+
+    // --- Update ---
+    update(deltaTime) {
+        if (!this.water) return;
+        this.time += deltaTime;
+
+        if (this.rain.enabled) this.updateRain(deltaTime);
+        this.updateDrippers(deltaTime);
+        this.drops.update(deltaTime, this.water);
+    }
+
+    // Drops due in this frame, at random over the pool
+    updateRain(deltaTime) {
+        const { width, height } = this.water.waterPlaneSize;
+        this.rainDue += this.rain.rate * width * height * deltaTime;
+        const count = Math.floor(this.rainDue);
+        this.rainDue -= count;
+
+        const radius = this.rain.dropSize / 1000;
+        const speed = terminalSpeed(radius);
+        for (let i = 0; i < Math.min(count, MAX_RAINDROPS_PER_FRAME); i++) {
+            this.splash((Math.random() - 0.5) * width, (Math.random() - 0.5) * height, radius, speed);
+        }
+    }
+
+    // Let the drippers that are due drop, and ripple the water where their
+    // drops land
+    updateDrippers(deltaTime) {
+        const { enabled, interval, height, dropSize } = this.dripper;
+        const level = this.waterLevel();
+
+        this.drippers.forEach((dripper, i) => {
+            this.placeMarker(dripper, this.markers[i]);
+            if (!enabled) return;
+
+            dripper.wait -= deltaTime;
+            if (dripper.wait > 0) return;
+            dripper.wait += interval;
+            if (dripper.wait < 0) dripper.wait = interval; // Behind after a long frame
+
+            this.drops.emit({ x: dripper.x, y: level + height, z: dripper.z }, { x: 0, y: 0, z: 0 });
+            this.falling.push({ time: this.time + Math.sqrt((2 * height) / GRAVITY), x: dripper.x, z: dripper.z });
+        });
+
+        const radius = dropSize / 1000;
+        const speed = Math.sqrt(2 * GRAVITY * height);
+        for (let i = this.falling.length - 1; i >= 0; i--) {
+            const drop = this.falling[i];
+            if (drop.time > this.time) continue;
+            this.falling.splice(i, 1);
+            this.splash(drop.x, drop.z, radius, speed);
+        }
+    }
+
+    // A drop of the given radius (m) hits the water at world (x, z) at speed
+    // m/s
+    splash(x, z, radius, speed) {
+        const water = this.water;
+        const cellSize = water.waterPlaneSize.height / water.simulationResolution;
+        const amount =
+            water.simulationMaterial.uniforms.uDisturbanceAmount.value *
+            DROP_RIPPLE *
+            (radius / REFERENCE_DROP_RADIUS) ** 2 *
+            (speed / REFERENCE_DROP_SPEED);
+        water.addDisturbance(water.worldToUv(x, z, this.uv), amount, { size: Math.max(radius, cellSize) });
+    }
+
+    // Rest height of the water
+    waterLevel() {
+        return this.water ? this.water.position.y : 0;
+    }
+
+    dispose() {
+        this.drops.dispose();
+        this.dripperGeometry.dispose();
+        this.dripperMaterial.dispose();
+    }
+}
@@ -3,33 +3,44 @@ import vertexShader from '../shaders/ground_vertex.glsl?raw';
 import fragmentShader from '../shaders/ground_fragment.glsl?raw';
 import exVertexShader from '../shaders/ground_vertex_ex.glsl?raw';
 import exFragmentShader from '../shaders/ground_fragment_ex.glsl?raw';
+import { assets, proceduralTexture } from '../assetManager.js';
+
+// Ground textures, exported so they can be used in UI. They are loaded
+// through the asset manager and filled in here once they arrive, before the
+// scene is built; a missing one is replaced by a procedural texture.
+const groundTextures = { sand: null, riverbed: null };
+
+function loadGroundTexture(key, url, description, colorA, colorB) {
+    assets
+        .loadTexture(url, {
+            description,
+            fallback: () => proceduralTexture({ colorA, colorB, seed: url }),
+            fallbackDescription: 'a procedural texture',
+        })
+        .then((loaded) => {
+            loaded.wrapS = THREE.RepeatWrapping;
+            loaded.wrapT = THREE.RepeatWrapping;
+            groundTextures[key] = loaded;
+        });
+}
 
-// Export textures so they can be imported and used in UI
-const sandTexture = new THREE.TextureLoader().load('ocean_floor.png');
-sandTexture.wrapS = THREE.RepeatWrapping;
-sandTexture.wrapT = THREE.RepeatWrapping;
-
-const riverbedTexture = new THREE.TextureLoader().load('riverbed_bottom.png');
-riverbedTexture.wrapS = THREE.RepeatWrapping;
-riverbedTexture.wrapT = THREE.RepeatWrapping;
+loadGroundTexture('sand', 'ocean_floor.png', 'Sand texture', 0xa8906a, 0xd8c7a0);
+loadGroundTexture('riverbed', 'riverbed_bottom.png', 'Riverbed texture', 0x4a4438, 0x8a7f68);
 
 let texture = 'riverbed'; // Default texture
-export { sandTexture, riverbedTexture, texture };
+export { groundTextures, texture };
 
 // Ground is now a Group containing the floor and walls
 export default class Ground extends THREE.Group {
     constructor(options) {
         super();
         this.groundPlaneSize = options.planeSize || { width: 2, height: 2 };
-        const wallHeight = -(options.floorDepth); // Height of walls (from floorDepth up to 0)
-
-
 
         // Shared Material for floor and walls
         this.material = new THREE.ShaderMaterial({
             uniforms: {
                 uTime: { value: 0.0 },
-                uTexture: { value: riverbedTexture },
+                uTexture: { value: groundTextures.riverbed },
                 uCausticsMap: { value: null },
                 uCausticsIntensity: { value: 0.2 },
                 uTextureRepeat: { value: new THREE.Vector2(5, 5) },
@@ -45,7 +56,7 @@ export default class Ground extends THREE.Group {
         this.exteriorMaterial = new THREE.ShaderMaterial({
             uniforms: {
                 uTime: { value: 0.0 },
-                uTexture: { value: riverbedTexture },
+                uTexture: { value: groundTextures.riverbed },
                 uTextureRepeat: { value: new THREE.Vector2(5, 5) },
             },
             vertexShader: exVertexShader,
@@ -53,6 +64,26 @@ export default class Ground extends THREE.Group {
             // side: THREE.DoubleSide // Use DoubleSide if camera can go below floor
         });
 
+        this.buildPool(options.floorDepth);
+    }
+
+    // Change the size and depth of the pool, rebuilding the floor and walls
+    setSize(planeSize, floorDepth) {
+        this.groundPlaneSize = { width: planeSize.width, height: planeSize.height };
+        this.material.uniforms.uPlaneSize.value.set(planeSize.width, planeSize.height);
+
+        // Remove the old floor and walls; the materials are kept
+        this.children.slice().forEach((mesh) => {
+            this.remove(mesh);
+            mesh.geometry.dispose();
+        });
+        this.buildPool(floorDepth);
+    }
+
+    // Add the floor and walls for the current plane size, inside and outside
+    buildPool(floorDepth) {
+        const wallHeight = -floorDepth; // Height of walls (from floorDepth up to 0)
+
         // --- Floor ---
         const floorGeometry = new THREE.PlaneGeometry(
             this.groundPlaneSize.width,
@@ -61,14 +92,14 @@ export default class Ground extends THREE.Group {
         );
         const floorMesh = new THREE.Mesh(floorGeometry, this.material);
         floorMesh.rotation.x = - Math.PI / 2;
-        floorMesh.position.y = options.floorDepth;
+        floorMesh.position.y = floorDepth;
         floorMesh.receiveShadow = true;
         this.add(floorMesh);
 
         // --- Exterior Floor ---
         const exteriorFloorMesh = new THREE.Mesh(floorGeometry, this.exteriorMaterial);
         exteriorFloorMesh.rotation.x = Math.PI / 2;
-        exteriorFloorMesh.position.y = options.floorDepth;
+        exteriorFloorMesh.position.y = floorDepth;
         exteriorFloorMesh.receiveShadow = true;
         this.add(exteriorFloorMesh);
 
@@ -80,7 +111,7 @@ export default class Ground extends THREE.Group {
         const wallXPGeometry = new THREE.PlaneGeometry(this.groundPlaneSize.height, wallHeight, 1, 1);
         const wallXPMesh = new THREE.Mesh(wallXPGeometry, wallMaterial);
         wallXPMesh.rotation.y = - Math.PI / 2;
-        wallXPMesh.position.set(this.groundPlaneSize.width / 2, options.floorDepth + wallHeight / 2, 0);
+        wallXPMesh.position.set(this.groundPlaneSize.width / 2, floorDepth + wallHeight / 2, 0);
         wallXPMesh.receiveShadow = true;
         this.add(wallXPMesh);
 
@@ -88,7 +119,7 @@ export default class Ground extends THREE.Group {
         const exWallXPGeometry = new THREE.PlaneGeometry(this.groundPlaneSize.height, wallHeight, 1, 1);
         const exWallXPMesh = new THREE.Mesh(exWallXPGeometry, exWallMaterial);
         exWallXPMesh.rotation.y = Math.PI / 2;
-        exWallXPMesh.position.set(this.groundPlaneSize.width / 2, options.floorDepth + wallHeight / 2, 0);
+        exWallXPMesh.position.set(this.groundPlaneSize.width / 2, floorDepth + wallHeight / 2, 0);
         exWallXPMesh.receiveShadow = true;
         this.add(exWallXPMesh);
 
@@ -96,7 +127,7 @@ export default class Ground extends THREE.Group {
         const wallXMGeometry = new THREE.PlaneGeometry(this.groundPlaneSize.height, wallHeight, 1, 1);
         const wallXMMesh = new THREE.Mesh(wallXMGeometry, wallMaterial);
         wallXMMesh.rotation.y = Math.PI / 2;
-        wallXMMesh.position.set(-this.groundPlaneSize.width / 2, options.floorDepth + wallHeight / 2, 0);
+        wallXMMesh.position.set(-this.groundPlaneSize.width / 2, floorDepth + wallHeight / 2, 0);
         wallXMMesh.receiveShadow = true;
         this.add(wallXMMesh);
 
@@ -104,7 +135,7 @@ export default class Ground extends THREE.Group {
         const exWallXMGeometry = new THREE.PlaneGeometry(this.groundPlaneSize.height, wallHeight, 1, 1);
         const exWallXMMesh = new THREE.Mesh(exWallXMGeometry, exWallMaterial);
         exWallXMMesh.rotation.y = - Math.PI / 2;
-        exWallXMMesh.position.set(-this.groundPlaneSize.width / 2, options.floorDepth + wallHeight / 2, 0);
+        exWallXMMesh.position.set(-this.groundPlaneSize.width / 2, floorDepth + wallHeight / 2, 0);
         exWallXMMesh.receiveShadow = true;
         this.add(exWallXMMesh);
 
@@ -112,7 +143,7 @@ export default class Ground extends THREE.Group {
         const wallZPGeometry = new THREE.PlaneGeometry(this.groundPlaneSize.width, wallHeight, 1, 1);
         const wallZPMesh = new THREE.Mesh(wallZPGeometry, wallMaterial);
         // No rotation needed
-        wallZPMesh.position.set(0, options.floorDepth + wallHeight / 2, -this.groundPlaneSize.height / 2);
+        wallZPMesh.position.set(0, floorDepth + wallHeight / 2, -this.groundPlaneSize.height / 2);
         wallZPMesh.receiveShadow = true;
         this.add(wallZPMesh);
 
@@ -120,7 +151,7 @@ export default class Ground extends THREE.Group {
         const exWallZPGeometry = new THREE.PlaneGeometry(this.groundPlaneSize.width, wallHeight, 1, 1);
         const exWallZPMesh = new THREE.Mesh(exWallZPGeometry, exWallMaterial);
         exWallZPMesh.rotation.y = Math.PI;
-        exWallZPMesh.position.set(0, options.floorDepth + wallHeight / 2, -this.groundPlaneSize.height / 2);
+        exWallZPMesh.position.set(0, floorDepth + wallHeight / 2, -this.groundPlaneSize.height / 2);
         exWallZPMesh.receiveShadow = true;
         this.add(exWallZPMesh);
 
@@ -128,14 +159,14 @@ export default class Ground extends THREE.Group {
         const wallZMGeometry = new THREE.PlaneGeometry(this.groundPlaneSize.width, wallHeight, 1, 1);
         const wallZMMesh = new THREE.Mesh(wallZMGeometry, wallMaterial);
         wallZMMesh.rotation.y = Math.PI;
-        wallZMMesh.position.set(0, options.floorDepth + wallHeight / 2, this.groundPlaneSize.height / 2);
+        wallZMMesh.position.set(0, floorDepth + wallHeight / 2, this.groundPlaneSize.height / 2);
         wallZMMesh.receiveShadow = true;
         this.add(wallZMMesh);
 
         // Wall Z+ (far away) exterior
         const exWallZMGeometry = new THREE.PlaneGeometry(this.groundPlaneSize.width, wallHeight, 1, 1);
         const exWallZMMesh = new THREE.Mesh(exWallZMGeometry, exWallMaterial);
-        exWallZMMesh.position.set(0, options.floorDepth + wallHeight / 2, this.groundPlaneSize.height / 2);
+        exWallZMMesh.position.set(0, floorDepth + wallHeight / 2, this.groundPlaneSize.height / 2);
         exWallZMMesh.receiveShadow = true;
         this.add(exWallZMMesh);
 
@@ -0,0 +1,235 @@
+import * as THREE from "three";
+import {
+    OBSTACLE_TYPES,
+    createObstacle,
+    deserializeObstacle,
+    driftFloater,
+    obstacleCollider,
+    obstacleExtent,
+    pushObstacle,
+    serializeObstacle,
+} from "../physics/obstacles.js";
+
+// The obstacles placed in the pool, drawn and kept up to date.
+// The group holds a mesh per obstacle; `colliders` is the list of cylinders
+// the rock physics collides with (see poolContact.js), updated in place so
+// the rock options can share it. Floating obstacles ride the water every
+// frame, and the ripple simulation's obstacle mask is repainted whenever they
+// have drifted to other texels of it, at most every MASK_INTERVAL. onChange is called whenever obstacles
+// are added, moved or removed, but not when floats drift.
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Seconds between repaints of the obstacle mask for drifting floats; a
+// repaint measures the distances across the whole mask
+const MASK_INTERVAL = 0.1;
+
+export default class Obstacles extends THREE.Group {
+    constructor(options = {}) {
+        super();
+        this.waterPlaneSize = options.waterPlaneSize || { width: 2, height: 2 };
+        this.floorDepth = options.floorDepth ?? -0.5;
+        this.onChange = options.onChange || null;
+
+        this.obstacles = [];
+        this.colliders = [];
+        this.meshes = new Map(); // Obstacle id to mesh
+        this.surfaceSample = { height: 0, normal: new THREE.Vector3(0, 1, 0) };
+        this.rimSample = { height: 0, normal: new THREE.Vector3(0, 1, 0) };
+        this.maskedAt = new Map(); // Float id to where it was last painted into the obstacle mask
+        this.maskAge = 0; // Seconds since the mask was last painted
+        this.tilt = new THREE.Vector3();
+        this.flow = new THREE.Vector3();
+
+        // One geometry and material per type, shared by its obstacles
+        this.geometries = {
+            boulder: new THREE.DodecahedronGeometry(OBSTACLE_TYPES.boulder.radius, 1),
+            post: new THREE.CylinderGeometry(OBSTACLE_TYPES.post.radius, OBSTACLE_TYPES.post.radius, 1, 16),
+            buoy: new THREE.SphereGeometry(OBSTACLE_TYPES.buoy.radius, 20, 14),
+            lilyPad: new THREE.CylinderGeometry(OBSTACLE_TYPES.lilyPad.radius, OBSTACLE_TYPES.lilyPad.radius, 1, 24),
+        };
+        this.materials = {
+            boulder: new THREE.MeshStandardMaterial({ color: 0x6b6660, roughness: 0.9, flatShading: true }),
+            post: new THREE.MeshStandardMaterial({ color: 0x6e5136, roughness: 0.8 }),
+            buoy: new THREE.MeshStandardMaterial({ color: 0xd9482b, roughness: 0.5 }),
+            lilyPad: new THREE.MeshStandardMaterial({ color: 0x3f7d32, roughness: 0.6 }),
+        };
+    }
+
+    // Place a new obstacle of one of OBSTACLE_TYPES at world (x, z)
+    place(type, x, z) {
+        const obstacle = createObstacle(type, x, z);
+        this.insert(obstacle);
+        this.changed();
+        return obstacle;
+    }
+
+    insert(obstacle) {
+        this.obstacles.push(obstacle);
+
+        const mesh = new THREE.Mesh(this.geometries[obstacle.type], this.materials[obstacle.type]);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.userData.obstacle = obstacle;
+        this.meshes.set(obstacle.id, mesh);
+        this.add(mesh);
+        this.syncMesh(obstacle);
+    }
+
+    removeObstacle(obstacle) {
+        const index = this.obstacles.indexOf(obstacle);
+        if (index === -1) return;
+        this.obstacles.splice(index, 1);
+        this.remove(this.meshes.get(obstacle.id));
+        this.meshes.delete(obstacle.id);
+        this.changed();
+    }
+
+    removeAll() {
+        this.obstacles.forEach((obstacle) => this.remove(this.meshes.get(obstacle.id)));
+        this.obstacles = [];
+        this.meshes.clear();
+        this.changed();
+    }
+
+    // Replace the obstacles with saved ones (see toJSON)
+    load(saved = []) {
+        this.obstacles.forEach((obstacle) => this.remove(this.meshes.get(obstacle.id)));
+        this.obstacles = [];
+        this.meshes.clear();
+        saved.map(deserializeObstacle).forEach((obstacle) => {
+            if (obstacle) this.insert(obstacle);
+        });
+        this.changed();
+    }
+
+    // What is saved with the scene settings
+    toJSON() {
+        return this.obstacles.map(serializeObstacle);
+    }
+
+    // Move an obstacle to world (x, z); a moved float stops drifting. While
+    // dragging, notify can be left off and changed() called once at the end.
+    moveTo(obstacle, x, z, notify = true) {
+        obstacle.x = x;
+        obstacle.z = z;
+        obstacle.velocity.x = 0;
+        obstacle.velocity.z = 0;
+        this.syncMesh(obstacle);
+        if (notify) this.changed();
+    }
+
+    // Obstacle a mesh belongs to
+    obstacleOf(mesh) {
+        return mesh.userData.obstacle || null;
+    }
+
+    // Follow a change of the pool's size or depth: fixed obstacles reach down
+    // to the new floor, floats stay inside the walls
+    setPoolSize(planeSize, floorDepth) {
+        this.waterPlaneSize = { width: planeSize.width, height: planeSize.height };
+        this.floorDepth = floorDepth;
+        this.obstacles.forEach((obstacle) => this.syncMesh(obstacle));
+        this.updateColliders();
+    }
+
+    // Knock the obstacle with the given id (a float drifts off; fixed ones
+    // stay put)
+    push(id, impulse) {
+        const obstacle = this.obstacles.find((o) => o.id === id);
+        if (obstacle) pushObstacle(obstacle, impulse);
+    }
+
+    // Let the floats ride and drift on the water and its current. Like the rocks they ask
+    // the water to read back the surface around them for the next frame.
+    update(deltaTime, water) {
+        if (!water) return;
+
+        const cellSize = water.waterPlaneSize.width / water.simulationResolution;
+        let drifted = false;
+        this.obstacles.forEach((obstacle) => {
+            if (!obstacle.floating) return;
+
+            const reach = obstacle.radius + cellSize;
+            driftFloater(obstacle, this.surfaceAround(obstacle, reach, water), deltaTime, {
+                waterPlaneSize: this.waterPlaneSize,
+                obstacles: this.obstacles,
+                current: water.sampleCurrent(obstacle.x, obstacle.z, this.flow),
+            });
+            this.syncMesh(obstacle);
+            water.requestSurfaceRegion(obstacle.x - reach, obstacle.z - reach, obstacle.x + reach, obstacle.z + reach);
+
+            const masked = this.maskedAt.get(obstacle.id);
+            if (!masked || Math.hypot(obstacle.x - masked.x, obstacle.z - masked.z) > cellSize / 2) drifted = true;
+        });
+        this.updateColliders();
+        this.maskAge += deltaTime;
+        if (drifted && this.maskAge >= MASK_INTERVAL) this.paintMask(water);
+    }
+
+    // Paint all obstacles, floats where they are now, into the water's
+    // obstacle mask, so the ripples reflect off the floats as well
+    paintMask(water) {
+        water.setObstacles(this.obstacles);
+        this.maskAge = 0;
+        this.maskedAt.clear();
+        this.obstacles.forEach((obstacle) => {
+            if (obstacle.floating) this.maskedAt.set(obstacle.id, { x: obstacle.x, z: obstacle.z });
+        });
+    }
+
+    // Surface a float rides on, from the water just outside its rim: the
+    // ripple simulation holds the water under the float itself still. The
+    // height is the average of four points around it, the slope that across
+    // it.
+    surfaceAround(obstacle, reach, water) {
+        const east = water.sampleSurface(obstacle.x + reach, obstacle.z, this.rimSample).height;
+        const west = water.sampleSurface(obstacle.x - reach, obstacle.z, this.rimSample).height;
+        const south = water.sampleSurface(obstacle.x, obstacle.z + reach, this.rimSample).height;
+        const north = water.sampleSurface(obstacle.x, obstacle.z - reach, this.rimSample).height;
+
+        const surface = this.surfaceSample;
+        surface.height = (east + west + south + north) / 4;
+        surface.normal.set(-(east - west) / (2 * reach), 1, -(south - north) / (2 * reach)).normalize();
+        return surface;
+    }
+
+    // Rebuild the collider list in place
+    updateColliders() {
+        this.colliders.length = this.obstacles.length;
+        this.obstacles.forEach((obstacle, i) => {
+            this.colliders[i] = obstacleCollider(obstacle, this.floorDepth, this.colliders[i]);
+        });
+    }
+
+    changed() {
+        this.updateColliders();
+        if (this.onChange) this.onChange(this);
+    }
+
+    // Place an obstacle's mesh: fixed ones stretch from the floor to their
+    // top, floats sit at the water line tilted with the surface
+    syncMesh(obstacle) {
+        const mesh = this.meshes.get(obstacle.id);
+        if (!mesh) return;
+
+        const { bottom, top } = obstacleExtent(obstacle, this.floorDepth);
+        mesh.position.set(obstacle.x, (bottom + top) / 2, obstacle.z);
+        switch (obstacle.type) {
+            case "boulder":
+            case "buoy":
+                mesh.scale.set(1, (top - bottom) / (2 * obstacle.radius), 1);
+                break;
+            default:
+                mesh.scale.set(1, top - bottom, 1);
+        }
+        if (obstacle.floating) {
+            mesh.quaternion.setFromUnitVectors(UP, this.tilt.copy(obstacle.normal));
+        }
+    }
+
+    dispose() {
+        Object.values(this.geometries).forEach((geometry) => geometry.dispose());
+        Object.values(this.materials).forEach((material) => material.dispose());
+    }
+}
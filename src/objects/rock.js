@@ -1,63 +1,61 @@
 import * as THREE from "three";
-import { EXRLoader } from "three/examples/jsm/loaders/EXRLoader.js";
-
-const rockTypesPaths = {
-    cracked_boulder: "rock_textures/cracked_boulder/cracked_boulder",
-    coast: "rock_textures/coast/coast",
-    slate: "rock_textures/slate/slate",
-};
-
-const rockTypes = {
-    cracked_boulder: {
-        // name: 'Cracked Boulder',
-        diffuse: new THREE.TextureLoader().load(`${rockTypesPaths.cracked_boulder}_diff.jpg`),
-        displacement: new THREE.TextureLoader().load(`${rockTypesPaths.cracked_boulder}_disp.png`),
-        normal: null, // Will be loaded async
-    },
-    coast: {
-        // name: 'Coast',
-        diffuse: new THREE.TextureLoader().load(`${rockTypesPaths.coast}_diff.jpg`),
-        displacement: new THREE.TextureLoader().load(`${rockTypesPaths.coast}_disp.png`),
-        normal: null,
-    },
-    slate: {
-        // name: 'Coast',
-        diffuse: new THREE.TextureLoader().load(`${rockTypesPaths.slate}_diff.jpg`),
-        displacement: new THREE.TextureLoader().load(`${rockTypesPaths.slate}_disp.png`),
-        normal: null,
-    },
-};
-
-// Configure all textures
-Object.keys(rockTypes).forEach((rockType) => {
-    const textures = rockTypes[rockType];
-    const basePath = rockTypesPaths[rockType];
-
-    // Configure diffuse texture
-    textures.diffuse.wrapS = THREE.RepeatWrapping;
-    textures.diffuse.wrapT = THREE.RepeatWrapping;
-
-    // Configure displacement texture
-    textures.displacement.wrapS = THREE.RepeatWrapping;
-    textures.displacement.wrapT = THREE.RepeatWrapping;
-
-    // Load normal map
-    const exrLoader = new EXRLoader();
-    console.log(`${basePath}_nor_gl.exr`);
-    exrLoader.load(`${basePath}_nor_gl.exr`, (texture) => {
-        textures.normal = texture;
-        textures.normal.wrapS = THREE.RepeatWrapping;
-        textures.normal.wrapT = THREE.RepeatWrapping;
-    });
-});
+import { advanceRock, createRockState, launchRock } from "../physics/rockPhysics.js";
+import { surfaceEnv } from "../physics/waterSurface.js";
+import { generateStone, stoneFromGeometry } from "./stoneGenerator.js";
+import { getActiveRockType, getRockType } from "./rockTypes.js";
+import { addWetness } from "./wetness.js";
+
+// Density of the stone for rock options: an explicit one, else the rock type's
+function rockDensity(options) {
+    const rockType = getRockType(options.rockType);
+    return options.density ?? (rockType ? rockType.density : undefined);
+}
 
-var activeRockType = "cracked_boulder";
+// Physics parameters for rock options: the options themselves, plus the
+// friction, restitution and density of the rock type and, when the rock has
+// a generated stone, the mass properties measured from it
+function rockPhysicsParams(options, stone = null) {
+    const rockType = getRockType(options.rockType);
+    return {
+        ...options,
+        floorFriction: options.floorFriction ?? (rockType ? rockType.friction : undefined),
+        collisionRestitution: options.collisionRestitution ?? (rockType ? rockType.restitution : undefined),
+        wallRestitution: options.wallRestitution ?? (rockType ? rockType.restitution : undefined),
+        density: rockDensity(options),
+        ...(stone ? stone.physics : {}),
+    };
+}
+
+// Stone generator options for rock options and a seed. Shape options the
+// rock leaves out come from its rock type.
+function stoneOptions(options, seed) {
+    const rockType = getRockType(options.rockType);
+    const shape = {
+        size: options.radius,
+        flatness: options.flatness,
+        ellipticity: options.ellipticity,
+        edgeRoundness: options.edgeRoundness,
+        surfaceNoise: options.surfaceNoise,
+        variation: options.shapeVariation,
+        segments: options.segments ? options.segments * 4 : undefined,
+    };
+    Object.keys(shape).forEach((key) => {
+        if (shape[key] === undefined || shape[key] === null) delete shape[key];
+    });
+    return { ...(rockType ? rockType.shape : {}), ...shape, seed };
+}
 
-function setActiveRockType(newType) {
-    activeRockType = newType;
+// Generate the stone for a throw with the given rock options and seed. Rock
+// types with a mesh of their own always give that stone, at the rock's size.
+function createStone(options, seed) {
+    const rockType = getRockType(options.rockType);
+    if (rockType && rockType.geometry) {
+        return stoneFromGeometry(rockType.geometry, options.radius || 0.05, rockDensity(options));
+    }
+    return generateStone(stoneOptions(options, seed), rockDensity(options));
 }
 
-export { rockTypes, activeRockType, setActiveRockType };
+export { rockPhysicsParams, stoneOptions, createStone };
 
 export default class Rock {
     constructor(options = {}) {
@@ -65,7 +63,7 @@ export default class Rock {
         this.options = {
             radius: options.radius || 0.05,
             segments: options.segments || 12,
-            mass: options.mass || 0.1, // kg
+            mass: options.mass || 0.1, // kg, replaced by the measured mass of the generated stone
             dragCoefficient: options.dragCoefficient || 0.2,
             elasticity: options.elasticity || 0.9, // Bounce factor
             minSkipVelocity: options.minSkipVelocity || 0.4, // Min velocity needed to skip
@@ -73,74 +71,77 @@ export default class Rock {
             skipsBeforeSink: options.skipsBeforeSink || 6, // Maximum skips before sinking
             skipAngleThreshold: options.skipAngleThreshold || 17, // Angle threshold for skipping converted to radians
             floorDepth: options.floorDepth || -0.5,
-
-            rockType: options.rockType || activeRockType, // Use the current active rock type
+            skipModel: options.skipModel || "hydrodynamic", // "hydrodynamic" or "arcade"
+            tiltAngle: options.tiltAngle ?? 20, // Release tilt, degrees nose-up relative to the water
+            spinRate: options.spinRate ?? 10, // Release spin, revolutions per second
+
+            // Shape of the generated stone, see stoneGenerator.js. Left
+            // undefined, the rock type's shape is used.
+            flatness: options.flatness,
+            ellipticity: options.ellipticity,
+            edgeRoundness: options.edgeRoundness,
+            surfaceNoise: options.surfaceNoise,
+            shapeVariation: options.shapeVariation,
+            stoneSeed: options.stoneSeed ?? 0,
+
+            // How the stone gets wet and dries, see updateWetness()
+            skipWetting: options.skipWetting ?? 0.5, // Wetness each skip adds
+            dryingTime: options.dryingTime || 30, // Seconds a soaked stone takes to dry in the air
+            dripRate: options.dripRate ?? 120, // Drops per second a soaked stone sheds in flight
+
+            rockType: options.rockType || getActiveRockType(), // Use the current active rock type
             displacementScale: options.displacementScale || 0.05,
             textureRepeat: options.textureRepeat || new THREE.Vector2(2, 2),
             envMap: options.envMap || null, // Environment map for reflections
         };
 
-        // Physics properties
-        this.velocity = new THREE.Vector3(0, 0, 0);
-        this.position = new THREE.Vector3(0, 0, 0);
-        this.rotation = new THREE.Euler(0, 0, 0);
-        this.angularVelocity = new THREE.Vector3(0, 0, 0);
-        // REDUCED: Lower gravity for longer trajectories
-        this.gravity = new THREE.Vector3(0, -9.8, 0); // Half of normal gravity
-        this.isActive = false;
-        this.skipCount = 0;
-        this.hasSunk = false;
-        this.lastCollisionPoint = null;
-        this.initialVelocity = new THREE.Vector3(0, 0, 0); // Store initial velocity for logging
-        this.startTime = 0;
+        // Physics state, advanced by the headless rock physics module
+        this.state = createRockState();
+        this.initialVelocity = new THREE.Vector3(0, 0, 0); // Velocity of the last throw
+
+        // Lifecycle, see getLifecycleState()
+        this.restingAge = 0; // Seconds the rock has been lying still
+        this.fade = null; // { elapsed, duration } while the rock fades out
+
+        // How wet the stone is, from 0 (dry) to 1 (soaked)
+        this.wetness = 0;
+        this.dripDebt = 0; // Fraction of a drop not yet shed
 
         // Create the rock geometry and mesh
         this.createMesh();
     }
 
     createMesh() {
-        // Create a slightly deformed sphere for the rock
-        const geometry = new THREE.SphereGeometry(
-            this.options.radius,
-            this.options.segments * 8,
-            this.options.segments * 8
-        );
-
-        // Deform vertices
-        const positions = geometry.attributes.position;
-        // for (let i = 0; i < positions.count; i++) {
-        //     const vertex = new THREE.Vector3();
-        //     vertex.fromBufferAttribute(positions, i);
-
-        //     // Apply random deformation
-        //     const noise = (Math.random() - 0.5) * 0.3;
-        //     vertex.multiplyScalar(1 + noise * this.options.radius);
-
-        //     // Update the vertex
-        //     positions.setXYZ(i, vertex.x, vertex.y, vertex.z);
-        // }
-
-        // Update normals and compute tangents for normal mapping
-        geometry.computeVertexNormals();
-        geometry.computeTangents();
-
-        // Get the textures for the current rock type
-        console.log("Rock type:", this.options.rockType);
-        console.log("Available rock types:", Object.keys(rockTypes));
-
-        const textures = rockTypes[this.options.rockType];
-        console.log("Textures object:", textures);
+        // Generate the stone; its physics comes from the same geometry
+        this.stone = createStone(this.options, this.options.stoneSeed);
+
+        // Create the mesh
+        this.mesh = new THREE.Mesh(this.stone.geometry, this.createMaterial());
+        this.mesh.castShadow = true;
+        this.mesh.receiveShadow = true;
+
+        // Initialize position
+        this.mesh.position.copy(this.state.position);
+    }
+
+    // Material for the current rock type
+    createMaterial() {
+        // Get the textures and surface of the current rock type
+        const textures = getRockType(this.options.rockType);
+        this.materialRockType = this.options.rockType;
 
         // Create a fallback material in case textures aren't loaded
         let material;
 
         if (!textures || !textures.diffuse) {
-            console.error("Textures not found for rock type:", this.options.rockType);
+            if (!textures) {
+                console.error("Rock type not found:", this.options.rockType);
+            }
             // Create a fallback material
             material = new THREE.MeshStandardMaterial({
                 color: 0x7a7a7a,
-                roughness: 0.8,
-                metalness: 0.1,
+                roughness: textures ? textures.roughness : 0.8,
+                metalness: textures ? textures.metalness : 0.1,
                 envMap: this.options.envMap,
                 envMapIntensity: 0.3,
             });
@@ -151,8 +152,8 @@ export default class Rock {
                 displacementMap: textures.displacement || null,
                 displacementScale: this.options.displacementScale,
                 normalMap: textures.normal || null, // Might be null initially
-                roughness: 0.8,
-                metalness: 0.2,
+                roughness: textures.roughness,
+                metalness: textures.metalness,
                 envMap: this.options.envMap, // Use environment map for reflections
                 envMapIntensity: 0.3, // Lower intensity for subtle reflections
             });
@@ -169,302 +170,238 @@ export default class Rock {
             }
         }
 
-        // Create the mesh
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.scale.set(1, 0.7, 1); // make it more disc shaped
-        this.mesh.castShadow = true;
-        this.mesh.receiveShadow = true;
+        // Darken and gloss the stone as it gets wet
+        this.wetnessUniform = addWetness(material);
+        this.wetnessUniform.value = this.wetness;
+
+        // The scene is built once the assets are in, but a rock made while
+        // its textures are still loading picks them up when they arrive
+        if (textures && textures.texturePath && !textures.diffuse) {
+            textures.loaded.then(() => {
+                material.color.set(0xffffff);
+                material.map = textures.diffuse;
+                material.displacementMap = textures.displacement;
+                material.displacementScale = this.options.displacementScale;
+                material.normalMap = textures.normal;
+                material.needsUpdate = true;
+            });
+        }
 
-        // Initialize position
-        this.mesh.position.copy(this.position);
-
-        // Set up a callback to update the normal map when it's loaded
-        if (textures && !textures.normal) {
-            const checkNormalMap = () => {
-                if (textures.normal) {
-                    this.mesh.material.normalMap = textures.normal;
-                    this.mesh.material.needsUpdate = true;
-                } else {
-                    setTimeout(checkNormalMap, 100);
-                }
-            };
-            setTimeout(checkNormalMap, 100);
+        return material;
+    }
+
+    // Re-skin the rock if its rock type changed since its material was made,
+    // e.g. a pooled rock reused after the type was switched
+    applyRockType() {
+        if (this.materialRockType === this.options.rockType) return;
+        this.mesh.material.dispose();
+        this.mesh.material = this.createMaterial();
+    }
+
+    // Physics state accessors, kept for code that reads the rock directly
+    get position() {
+        return this.state.position;
+    }
+
+    get velocity() {
+        return this.state.velocity;
+    }
+
+    get angularVelocity() {
+        return this.state.angularVelocity;
+    }
+
+    get isActive() {
+        return this.state.isActive;
+    }
+
+    get hasSunk() {
+        return this.state.hasSunk;
+    }
+
+    get skipCount() {
+        return this.state.skipCount;
+    }
+
+    // Swap in another generated stone, e.g. a fresh one for the next throw
+    setStone(stone) {
+        if (this.stone && this.stone.geometry !== stone.geometry) {
+            this.stone.geometry.dispose();
         }
+        this.stone = stone;
+        this.mesh.geometry = stone.geometry;
+    }
+
+    // Physics parameters of this rock and its stone
+    physicsParams() {
+        return rockPhysicsParams(this.options, this.stone);
     }
 
     setPosition(x, y, z) {
-        this.position.set(x, y, z);
-        this.mesh.position.copy(this.position);
+        this.state.position.set(x, y, z);
+        this.syncMesh();
     }
 
-    setVelocity(vx, vy, vz) {
-        this.velocity.set(vx, vy, vz);
-        // Store the initial velocity for logging
-        this.initialVelocity.copy(this.velocity);
-        // console.log(`Rock initial velocity: (${vx.toFixed(2)}, ${vy.toFixed(2)}, ${vz.toFixed(2)}) - Magnitude: ${this.velocity.length().toFixed(2)}`);
-
-        this.angularVelocity.set(
-            vx * 0.01, // Spin around x-axis (perpendicular to throw direction)
-            vy * 0.6,        // Little to no spin around vertical axis
-            vz * 0.01  // Spin around z-axis
-        );
-
-        this.isActive = true;
-        this.hasSunk = false;
-        this.skipCount = 0;
-        this.startTime = Date.now();
+    // Launch the rock with the given velocity, using the tilt and spin from the
+    // options. The seed makes the throw replayable.
+    setVelocity(vx, vy, vz, seed = null) {
+        this.initialVelocity.set(vx, vy, vz);
+        this.state = launchRock(this.state, this.initialVelocity, {
+            seed,
+            tiltAngle: this.options.tiltAngle,
+            spinRate: this.options.spinRate,
+        });
     }
 
     reset() {
-        this.velocity.set(0, 0, 0);
+        this.state = createRockState();
         this.initialVelocity.set(0, 0, 0);
-        this.angularVelocity.set(0, 0, 0);
-        this.position.set(0, 0, 0);
-        this.mesh.position.copy(this.position);
-        this.rotation.set(0, 0, 0);
-        this.mesh.rotation.copy(this.rotation);
-        this.isActive = false;
-        this.hasSunk = false;
-        this.skipCount = 0;
-        this.lastCollisionPoint = null;
-        this.startTime = 0;
+        this.restingAge = 0;
+        this.fade = null;
+        this.setWetness(0);
+        this.dripDebt = 0;
+        this.mesh.material.opacity = 1;
+        this.mesh.material.transparent = false;
+        this.mesh.material.needsUpdate = true;
+        this.syncMesh();
     }
 
-    update(deltaTime, waterHeight = 0, water) {
-        if (!this.isActive) return; // Allow update even if sunk to apply sinking drag/stop
+    // Copy the physics state onto the mesh
+    syncMesh() {
+        this.mesh.position.copy(this.state.position);
+        this.mesh.quaternion.copy(this.state.orientation);
+    }
 
-        const fixedDeltaTime = Math.min(deltaTime, 1 / 30);
-        const prevPosition = this.position.clone();
+    // Step the physics against the live water surface, or flat water at
+    // height 0 when there is no water to collide with
+    update(deltaTime, water) {
+        if (!this.state.isActive) return;
 
-        if (!this.hasSunk) {
-            // Apply gravity and air drag if not sunk
-            this.velocity.add(this.gravity.clone().multiplyScalar(fixedDeltaTime));
-            const airDragForce = this.velocity
-                .clone()
-                .normalize()
-                .multiplyScalar(-0.1 * this.options.dragCoefficient * this.velocity.lengthSq() * fixedDeltaTime);
-            this.velocity.add(airDragForce.divideScalar(this.options.mass));
-        } else {
-            // Rock has sunk - apply sinking physics
-            // Check if the rock is at or below ground level
-            if (this.position.y <= this.options.floorDepth) {
-                // Already hit the ground in a previous frame or just hit it
-                this.position.y = this.options.floorDepth; // Clamp position to ground level
-                this.velocity.set(0, 0, 0); // Stop ALL movement
-                this.angularVelocity.set(0, 0, 0); // Stop spinning
-            } else {
-                // Still sinking towards the ground, apply water resistance
-                const waterDragCoefficient = 0.8; // Stronger drag in water than air
-
-                // Apply sinking force (reduced gravity in water)
-                const waterGravity = this.gravity.clone().multiplyScalar(0.3); // Reduced gravity underwater
-                this.velocity.add(waterGravity.multiplyScalar(fixedDeltaTime));
-
-                // Apply strong water resistance
-                const waterDragForce = this.velocity.clone().multiplyScalar(-waterDragCoefficient * fixedDeltaTime);
-                this.velocity.add(waterDragForce);
-
-                // Add small random sideways movement for underwater effect
-                const randomSway = 0.001;
-                this.velocity.x += (Math.random() - 0.5) * randomSway;
-                this.velocity.z += (Math.random() - 0.5) * randomSway;
-
-                // If velocity gets very small, gradually force the rock downward
-                if (this.velocity.lengthSq() < 0.01) {
-                    this.velocity.y -= 0.02 * fixedDeltaTime; // Ensure rock keeps sinking
-                }
+        const result = advanceRock(this.state, this.physicsParams(), deltaTime, surfaceEnv(water));
+        this.applyPhysics(result.state, result.events, water);
+    }
 
-                // Apply strong angular drag underwater
-                this.angularVelocity.multiplyScalar(0.9); // Rapid loss of rotation in water
-            }
-        }
+    // Take over a state stepped elsewhere (e.g. together with other rocks)
+    // and react to the events that led to it
+    applyPhysics(state, events, water) {
+        this.state = state;
+        this.syncMesh();
 
-        // Update position based on velocity (only if velocity is not zero)
-        if (this.velocity.lengthSq() > 0) {
-            this.position.add(this.velocity.clone().multiplyScalar(fixedDeltaTime));
-        }
+        events.forEach((event) => this.handleEvent(event, water));
+    }
 
-        // Re-check if the new position went below ground level after position update
-        if (this.hasSunk) {
-            if (this.position.y < this.options.floorDepth) {
-                this.position.y = this.options.floorDepth; // Clamp position
-                this.velocity.set(0, 0, 0); // Ensure velocity is zeroed if it crossed the boundary
-                this.angularVelocity.set(0, 0, 0);
-            }
+    // React to physics events with the visual side effects
+    handleEvent(event, water) {
+        // Each touch of the water wets the stone a little more; under water it
+        // soaks through
+        if (event.type === "skip") {
+            this.setWetness(this.wetness + this.options.skipWetting);
+        } else if (event.type === "sink") {
+            this.setWetness(1);
         }
 
-        // Update rotation based on angular velocity (only if angular velocity is not zero)
-        if (this.angularVelocity.lengthSq() > 0.001) {
-            const rotationDelta = this.angularVelocity.clone().multiplyScalar(fixedDeltaTime);
-            this.rotation.x += rotationDelta.x;
-            this.rotation.y += rotationDelta.y;
-            this.rotation.z += rotationDelta.z;
+        if ((event.type === "skip" || event.type === "sink") && water) {
+            // Calculate UV position from world position
+            const uvX = event.position.x / this.options.waterPlaneSize.width + 0.5;
+            // Fixed negative Z for correct UV mapping
+            const uvY = -event.position.z / this.options.waterPlaneSize.height + 0.5;
+
+            // A skip leaves a crater along the path; a sinking stone stops
+            // in the water, so its splash is round whatever its path
+            water.addDisturbance(
+                new THREE.Vector2(uvX, uvY),
+                water.simulationMaterial.uniforms.uDisturbanceAmount.value * event.intensity,
+                {
+                    direction: new THREE.Vector2(event.velocity.x, event.velocity.z),
+                    impactAngle: event.type === "skip" ? event.angleOfIncidence : Math.PI / 2,
+                    size: this.stone.physics.radius,
+                }
+            );
         }
+    }
 
-        // Update mesh position and rotation
-        this.mesh.position.copy(this.position);
-        this.mesh.rotation.copy(this.rotation);
+    // Returns if the rock is currently being simulated
+    isSimulating() {
+        return this.state.isActive && !this.state.hasSunk;
+    }
 
-        // Check for water collision only if not already sunk
-        if (!this.hasSunk) {
-            this.checkWaterCollision(prevPosition, waterHeight, water, fixedDeltaTime);
+    // Where the rock is in its life:
+    // - idle: in the pool, not thrown
+    // - in-flight: thrown, and has not touched the water yet
+    // - skipping: bouncing along the surface
+    // - sinking: under water, including sliding along the floor
+    // - resting: lying still on the floor (a hit can set it moving again)
+    // - expired: flew out of the pool, or faded out; ready to be pooled
+    getLifecycleState() {
+        const { state } = this;
+        if (state.stopReason === "out of bounds" || (this.fade && this.fade.elapsed >= this.fade.duration)) {
+            return "expired";
         }
-
-        // Check for boundaries
-        this.checkBoundaries();
+        if (!state.isActive) return state.stopReason === "at rest" ? "resting" : "idle";
+        if (state.hasSunk) return "sinking";
+        if (state.inContact || state.skipCount > 0) return "skipping";
+        return "in-flight";
     }
 
-    checkWaterCollision(prevPosition, waterHeight, water, deltaTime) {
-        // Simple water collision: check if we crossed the water plane from above
-        if (prevPosition.y >= waterHeight && this.position.y < waterHeight) {
-            // Calculate precise collision point
-            const t = (waterHeight - prevPosition.y) / (this.position.y - prevPosition.y);
-            const collisionPoint = prevPosition.clone().lerp(this.position, t);
-
-            // Store this collision point
-            this.lastCollisionPoint = collisionPoint.clone();
-
-            // Calculate collision impact velocity
-            const impactVelocity = this.velocity.length();
-
-            // calculating angle of incidence with water
-            const waterNormal = new THREE.Vector3(0, 1, 0); // Normal of the water surface
-            const velocityDirection = this.velocity.clone().normalize();
-            // since angle from acos is just normal to velocity, we subtract it from PI/2
-            const angleOfIncidence = Math.abs(Math.PI / 2 - Math.acos(velocityDirection.dot(waterNormal)));
-
-            // Debug log the collision with velocity details
-            // console.log(`Rock collision at (${collisionPoint.x.toFixed(2)}, ${collisionPoint.y.toFixed(2)}, ${collisionPoint.z.toFixed(2)})`);
-            // console.log(`Impact velocity: ${impactVelocity.toFixed(2)} - Components: (${this.velocity.x.toFixed(2)}, ${this.velocity.y.toFixed(2)}, ${this.velocity.z.toFixed(2)})`);
-            const disturbanceIntensity =
-            0.001 + Math.pow(impactVelocity, 2.5) * this.options.radius * this.options.radius *
-            (this.options.mass / 0.1);
-
-            console.log(
-                "Angle of incidence:",
-                (180 / Math.PI) * angleOfIncidence.toFixed(2),
-                " Max angle:",
-                this.options.skipAngleThreshold
-            );
-            // Only skip if velocity is above minimum threshold and we haven't exceeded max skips
-            if (
-                angleOfIncidence < (Math.PI / 180) * this.options.skipAngleThreshold &&
-                impactVelocity > this.options.minSkipVelocity * Math.sqrt(this.options.mass / 0.1) && // Heavier rocks need more velocity
-                this.skipCount < this.options.skipsBeforeSink
-            ) {
-                // Increment skip counter
-                this.skipCount++;
-                // console.log(`Skip #${this.skipCount}`);
-
-                // Calculate bounce effect - we want the rock to lose some energy but maintain forward momentum
-                const bounceCoefficient = this.options.elasticity * (1 - this.skipCount / this.options.skipsBeforeSink);
-
-                // Reflect velocity vector but maintain some forward momentum
-                this.velocity.y = -this.velocity.y * bounceCoefficient;
-
-                // REDUCED: Less speed loss on skip for longer trajectories
-                this.velocity.x *= 0.95; // Was 0.9
-                this.velocity.z *= 0.95; // Was 0.9
-
-                // Log post-bounce velocity
-                // console.log(`Post-bounce velocity: ${this.velocity.length().toFixed(2)} - Components: (${this.velocity.x.toFixed(2)}, ${this.velocity.y.toFixed(2)}, ${this.velocity.z.toFixed(2)})`);
-
-                // Apply random spin/rotation on collision
-                this.angularVelocity.set(
-                    (Math.random() - 0.5) * 10,
-                    (Math.random() - 0.5) * 10,
-                    (Math.random() - 0.5) * 10
-                );
-
-                // Create water disturbance at collision point
-                if (water) {
-                    // Calculate UV position from world position
-                    const uvX = collisionPoint.x / this.options.waterPlaneSize.width + 0.5;
-                    // Fixed negative Z for correct UV mapping
-                    const uvY = -collisionPoint.z / this.options.waterPlaneSize.height + 0.5;
-
-                    // Add disturbance to water
-                    water.addDisturbance(
-                        new THREE.Vector2(uvX, uvY),
-                        water.simulationMaterial.uniforms.uDisturbanceAmount.value * disturbanceIntensity
-                    );
-                    console.log(
-                        `Creating ripple at UV (${uvX.toFixed(2)}, ${uvY.toFixed(
-                            2
-                        )}) with intensity ${disturbanceIntensity.toFixed(3)}`
-                    );
-                }
-            } else {
-                let sinkReason = "";
-                if (impactVelocity <= this.options.minSkipVelocity) {
-                    sinkReason = "insufficient velocity";
-                } else if (Math.abs(angleOfIncidence) >= this.options.skipAngleThreshold * (Math.PI / 180)) {
-                    sinkReason = "angle too steep";
-                } else {
-                    sinkReason = "max skips exceeded";
-                }
-                // Rock has sunk
-                this.hasSunk = true;
-                console.log(`Rock has sunk due to ${sinkReason}`);
-
-                // Create final splash disturbance
-                if (water) {
-                    const uvX = collisionPoint.x / this.options.waterPlaneSize.width + 0.5;
-                    // Fixed negative Z for correct UV mapping
-                    const uvY = -collisionPoint.z / this.options.waterPlaneSize.height + 0.5;
-
-                    // one last disturbance
-                    water.addDisturbance(
-                        new THREE.Vector2(uvX, uvY),
-                        water.simulationMaterial.uniforms.uDisturbanceAmount.value * disturbanceIntensity
-                    );
-                    console.log(`Rock sinking at UV (${uvX.toFixed(2)}, ${uvY.toFixed(2)})`);
-                }
-
-                // Ensure rock is precisely at collision point when starting to sink
-                this.position.copy(collisionPoint);
-
-                // Apply initial sinking behavior - significantly reduce velocity
-                // but maintain direction for momentum continuity
-                this.velocity.multiplyScalar(0.3);
+    // Age the rock and advance its fade; called once per frame
+    updateLifecycle(deltaTime) {
+        if (this.getLifecycleState() === "resting") {
+            this.restingAge += deltaTime;
+        } else {
+            this.restingAge = 0;
+        }
 
-                // Ensure some downward velocity to start sinking
-                this.velocity.y = -Math.max(0.2, Math.abs(this.velocity.y) * 0.3);
+        if (this.fade) {
+            this.fade.elapsed += deltaTime;
+            this.mesh.material.opacity = Math.max(1 - this.fade.elapsed / this.fade.duration, 0);
+        }
+    }
 
-                // Reduce angular velocity for underwater effect
-                this.angularVelocity.multiplyScalar(0.5);
+    setWetness(wetness) {
+        this.wetness = Math.min(Math.max(wetness, 0), 1);
+        this.wetnessUniform.value = this.wetness;
+    }
 
-                // Update mesh position
-                this.mesh.position.copy(this.position);
+    // Keep a sunk stone soaked and let one in the air dry; called once per
+    // frame. Between skips the stone sheds drops into drips (optional) at a
+    // rate that falls off as it dries.
+    updateWetness(deltaTime, drips = null) {
+        const state = this.getLifecycleState();
+        if (state === "sinking" || state === "resting") {
+            this.setWetness(1);
+            return;
+        }
+        if (this.state.inContact || this.wetness === 0) return;
+
+        this.setWetness(this.wetness - deltaTime / this.options.dryingTime);
+
+        if (drips && state === "skipping") {
+            this.dripDebt += this.options.dripRate * this.wetness * deltaTime;
+            const radius = this.options.radius;
+            const drop = new THREE.Vector3();
+            for (; this.dripDebt >= 1; this.dripDebt--) {
+                // From somewhere under the stone
+                drop.set((Math.random() - 0.5) * radius, -radius * 0.2, (Math.random() - 0.5) * radius);
+                drop.applyQuaternion(this.state.orientation).add(this.state.position);
+                drips.emit(drop, this.state.velocity);
             }
         }
     }
 
-    checkBoundaries() {
-        // Check if rock has gone out of bounds
-        const halfWidth = this.options.waterPlaneSize.width / 2;
-        const halfHeight = this.options.waterPlaneSize.height / 2;
-        if (
-            this.position.x < -halfWidth ||
-            this.position.x > halfWidth ||
-            this.position.z < -halfHeight ||
-            this.position.z > halfHeight ||
-            this.position.y < this.options.floorDepth + 0.1 || // Only deactivate if it's significantly below ground (error margin)
-            Date.now() - this.startTime > 3000 // Maximum simulation time (3 seconds)
-        ) {
-            // console.log(`Rock out of bounds or timeout. Position: (${this.position.x.toFixed(2)}, ${this.position.y.toFixed(2)}, ${this.position.z.toFixed(2)})`);
-            this.isActive = false;
-        }
+    // Start fading the rock out; it expires once it has faded
+    fadeOut(duration) {
+        if (this.fade) return;
+        this.fade = { elapsed: 0, duration };
+        this.mesh.material.transparent = true;
+        this.mesh.material.needsUpdate = true;
     }
 
-    // Returns if the rock is currently being simulated
-    isSimulating() {
-        return this.isActive && !this.hasSunk;
+    isFading() {
+        return this.fade !== null;
     }
 
-    // Returns if the rock has finished its trajectory (either sunk or out of bounds)
+    // Returns if the rock is done and can go back to the pool
     isFinished() {
-        //return !this.isActive;
-        return false;
+        return this.getLifecycleState() === "expired";
     }
 }
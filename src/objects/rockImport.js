@@ -0,0 +1,210 @@
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader.js";
+import { mergeGeometries, mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { meshMassProperties, principalAxes } from "../physics/massProperties.js";
+import { registerRockType, removeRockType } from "./rockTypes.js";
+
+// Rock types from scanned or modelled stones.
+// A glTF (.glb, or .gltf with embedded buffers) or OBJ file is merged into one
+// mesh and brought into the unit stone frame: centred on its centre of mass,
+// turned so its principal axes line up with the stone's (the axis it is
+// hardest to turn about, through its faces, becomes +y, and its length lies
+// along x) and scaled so it reaches 1 from its centre in the plane. Rocks of
+// the type scale it to their size and measure their mass properties from it
+// (see stoneFromGeometry). Imported types are kept in local storage and come
+// back with restoreImportedRocks().
+
+const STORAGE_KEY = "rock-skipping:imported-rocks";
+const TYPE_PREFIX = "imported:";
+
+// Merge all meshes of a loaded scene into one non-indexed geometry, in the
+// scene's frame. It keeps the UVs when every mesh has them, so a textured
+// material maps onto the stone; the normals are worked out again once the
+// stone is scaled (see stoneFromGeometry).
+function mergeSceneMeshes(root) {
+    root.updateMatrixWorld(true);
+    const sources = [];
+    root.traverse((object) => {
+        if (!object.isMesh || !object.geometry.attributes.position) return;
+        sources.push(object);
+    });
+
+    if (sources.length === 0) {
+        throw new Error("The file contains no meshes");
+    }
+
+    const withUvs = sources.every((object) => object.geometry.attributes.uv);
+    const geometries = sources.map((object) => {
+        const source = object.geometry.index ? object.geometry.toNonIndexed() : object.geometry;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute("position", source.attributes.position.clone());
+        if (withUvs) geometry.setAttribute("uv", floatAttribute(source.attributes.uv));
+        geometry.applyMatrix4(object.matrixWorld);
+        return geometry;
+    });
+    return geometries.length === 1 ? geometries[0] : mergeGeometries(geometries);
+}
+
+// Plain float copy of a mesh attribute, which a glTF may store interleaved or
+// quantized
+function floatAttribute(attribute) {
+    const array = new Float32Array(attribute.count * attribute.itemSize);
+    for (let i = 0; i < attribute.count; i++) {
+        for (let c = 0; c < attribute.itemSize; c++) {
+            array[i * attribute.itemSize + c] = attribute.getComponent(i, c);
+        }
+    }
+    return new THREE.BufferAttribute(array, attribute.itemSize);
+}
+
+// Bring a non-indexed geometry into the unit stone frame in place
+function normalizeRockGeometry(geometry) {
+    const positions = geometry.attributes.position;
+    let properties = meshMassProperties(positions.array, null, 1);
+
+    // Inside-out meshes have a negative volume: flip their triangles, UVs
+    // and all
+    if (properties.volume < 0) {
+        const attributes = Object.values(geometry.attributes);
+        const swap = attributes.map((attribute) => new Array(attribute.itemSize));
+        for (let i = 0; i < positions.count; i += 3) {
+            attributes.forEach((attribute, a) => {
+                for (let c = 0; c < attribute.itemSize; c++) swap[a][c] = attribute.getComponent(i + 1, c);
+                attribute.copyAt(i + 1, attribute, i + 2);
+                for (let c = 0; c < attribute.itemSize; c++) attribute.setComponent(i + 2, c, swap[a][c]);
+            });
+        }
+        properties = meshMassProperties(positions.array, null, 1);
+    }
+    if (!(properties.volume > 0)) {
+        throw new Error("The mesh does not enclose a volume");
+    }
+
+    // Principal axes: smallest moment along the length (x), largest through
+    // the faces (y)
+    const axes = principalAxes(properties.inertiaTensor).sort((a, b) => a.moment - b.moment);
+    const x = axes[0].axis;
+    const y = axes[2].axis;
+    const z = new THREE.Vector3().crossVectors(x, y);
+    const toStoneFrame = new THREE.Matrix4().makeBasis(x, y, z).invert();
+
+    const center = properties.centerOfMass;
+    geometry.translate(-center.x, -center.y, -center.z);
+    geometry.applyMatrix4(toStoneFrame);
+
+    properties = meshMassProperties(positions.array, null, 1);
+    const scale = 1 / properties.planeExtent;
+    geometry.scale(scale, scale, scale);
+    return geometry;
+}
+
+// Parse a rock mesh file into a geometry in the unit stone frame
+export async function loadRockGeometry(file) {
+    const extension = file.name.split(".").pop().toLowerCase();
+    let root;
+    if (extension === "glb" || extension === "gltf") {
+        const gltf = await new GLTFLoader().parseAsync(await file.arrayBuffer(), "");
+        root = gltf.scene;
+    } else if (extension === "obj") {
+        root = new OBJLoader().parse(await file.text());
+    } else {
+        throw new Error(`Unsupported rock mesh format: .${extension}`);
+    }
+
+    const geometry = normalizeRockGeometry(mergeSceneMeshes(root));
+    // Weld the vertices the file split for its normals, so the stone is
+    // shaded smooth; vertices on a UV seam stay split
+    return mergeVertices(geometry);
+}
+
+// Register an imported geometry as a rock type
+function registerImportedRock(name, label, geometry) {
+    return registerRockType(name, {
+        label,
+        geometry,
+        imported: true,
+    });
+}
+
+// Import a rock mesh file as a rock type and keep it in local storage.
+// Returns the new rock type.
+export async function importRockFile(file) {
+    const geometry = await loadRockGeometry(file);
+    const label = file.name.replace(/\.[^.]+$/, "");
+    const rockType = registerImportedRock(`${TYPE_PREFIX}${label}`, label, geometry);
+    saveImportedRock(rockType);
+    return rockType;
+}
+
+// Remove an imported rock type and forget it. Returns whether it was removed.
+export function forgetImportedRock(name) {
+    if (!name.startsWith(TYPE_PREFIX) || !removeRockType(name)) return false;
+    const saved = readSavedRocks().filter((rock) => rock.name !== name);
+    writeSavedRocks(saved);
+    return true;
+}
+
+// Register the rock types imported in earlier sessions
+export function restoreImportedRocks() {
+    readSavedRocks().forEach(({ name, label, positions, uvs, index }) => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute("position", new THREE.BufferAttribute(decodeArray(positions, Float32Array), 3));
+        if (uvs) geometry.setAttribute("uv", new THREE.BufferAttribute(decodeArray(uvs, Float32Array), 2));
+        geometry.setIndex(new THREE.BufferAttribute(decodeArray(index, Uint32Array), 1));
+        registerImportedRock(name, label, geometry);
+    });
+}
+
+// --- Storage ---
+
+function encodeArray(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decodeArray(text, ArrayType) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new ArrayType(bytes.buffer);
+}
+
+function readSavedRocks() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn("Could not read the imported rocks:", error);
+        return [];
+    }
+}
+
+function writeSavedRocks(rocks) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(rocks));
+    } catch (error) {
+        // Most likely a scan too large for the storage quota; it still works
+        // until the page is reloaded
+        console.warn("Could not save the imported rocks:", error);
+    }
+}
+
+// Add an imported rock type to local storage, replacing one of the same name
+function saveImportedRock(rockType) {
+    const saved = readSavedRocks().filter((rock) => rock.name !== rockType.name);
+    const { position, uv } = rockType.geometry.attributes;
+    saved.push({
+        name: rockType.name,
+        label: rockType.label,
+        positions: encodeArray(position.array),
+        uvs: uv ? encodeArray(uv.array) : undefined,
+        index: encodeArray(Uint32Array.from(rockType.geometry.index.array)),
+    });
+    writeSavedRocks(saved);
+}
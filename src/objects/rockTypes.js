@@ -0,0 +1,181 @@
+import * as THREE from "three";
+import { assets, flatNormalTexture, proceduralTexture } from "../assetManager.js";
+
+// Registry of rock types.
+// A rock type is a texture set plus what the stone is made of: its density,
+// friction and restitution for the physics, roughness and metalness for the
+// material, and the stone shape it is usually found in. Rocks look their type
+// up by name when they are created and thrown, so types can be added and
+// removed at runtime; listeners hear about every change.
+
+const rockTypes = new Map();
+const listeners = new Set();
+let activeRockType = null;
+
+// Defaults for any property a registered type leaves out
+const DEFAULT_ROCK_TYPE = {
+    density: 2700, // kg/m^3
+    friction: 0.5, // Coulomb friction on the floor and walls
+    restitution: 0.5, // Bounce off other stones and the walls
+    roughness: 0.8,
+    metalness: 0.2,
+    shape: {}, // Stone generator options, see stoneGenerator.js
+};
+
+// Load a texture set from its base path: <path>_diff.jpg, <path>_disp.png and
+// the normal map <path>_nor_gl.exr. The textures are filled in as they arrive
+// and `loaded` resolves once all of them are in. Missing ones fall back to a
+// procedural stone texture, no displacement and a flat normal map.
+function loadTextures(texturePath, label) {
+    const textures = { diffuse: null, displacement: null, normal: null };
+    const repeat = (texture) => {
+        if (texture) {
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+        }
+        return texture;
+    };
+
+    textures.loaded = Promise.all([
+        assets
+            .loadTexture(`${texturePath}_diff.jpg`, {
+                description: `${label} texture`,
+                fallback: () => proceduralTexture({ colorA: 0x5a5754, colorB: 0x9a958e, seed: texturePath }),
+                fallbackDescription: "a procedural stone texture",
+            })
+            .then((texture) => {
+                textures.diffuse = repeat(texture);
+            }),
+        assets
+            .loadTexture(`${texturePath}_disp.png`, {
+                description: `${label} displacement map`,
+                fallbackDescription: "no displacement",
+            })
+            .then((texture) => {
+                textures.displacement = repeat(texture);
+            }),
+        assets
+            .loadEXR(`${texturePath}_nor_gl.exr`, {
+                description: `${label} normal map`,
+                fallback: flatNormalTexture,
+                fallbackDescription: "a flat normal map",
+            })
+            .then((texture) => {
+                textures.normal = repeat(texture);
+            }),
+    ]);
+    return textures;
+}
+
+function notify() {
+    listeners.forEach((listener) => listener());
+}
+
+// Add a rock type, or replace the one registered under the same name.
+// definition: { label, texturePath, density, friction, restitution,
+// roughness, metalness, shape, geometry }. With a texturePath the texture set
+// is loaded from it; without one, diffuse/displacement/normal textures may be
+// given directly, or left out for a plain grey stone. A geometry in the unit
+// stone frame (see rockImport.js) replaces the generated stone shape.
+export function registerRockType(name, definition = {}) {
+    const textures = definition.texturePath
+        ? loadTextures(definition.texturePath, definition.label || name)
+        : {
+              diffuse: definition.diffuse || null,
+              displacement: definition.displacement || null,
+              normal: definition.normal || null,
+              loaded: Promise.resolve(),
+          };
+
+    const rockType = {
+        ...DEFAULT_ROCK_TYPE,
+        ...definition,
+        ...textures,
+        name,
+        label: definition.label || name,
+        shape: { ...DEFAULT_ROCK_TYPE.shape, ...definition.shape },
+    };
+    rockTypes.set(name, rockType);
+
+    if (activeRockType === null) activeRockType = name;
+    notify();
+    return rockType;
+}
+
+// Remove a rock type. The last one cannot be removed; if the active type goes
+// the first remaining one takes over. Rocks already using the type keep its
+// textures. Returns whether the type was removed.
+export function removeRockType(name) {
+    if (!rockTypes.has(name) || rockTypes.size === 1) return false;
+
+    rockTypes.delete(name);
+    if (activeRockType === name) activeRockType = rockTypes.keys().next().value;
+    notify();
+    return true;
+}
+
+// The registered rock type, or undefined
+export function getRockType(name) {
+    return rockTypes.get(name);
+}
+
+// All registered rock types, in the order they were registered
+export function listRockTypes() {
+    return Array.from(rockTypes.values());
+}
+
+// The rock type new rocks use unless told otherwise
+export function getActiveRockType() {
+    return activeRockType;
+}
+
+export function setActiveRockType(name) {
+    if (!rockTypes.has(name)) {
+        console.warn("Unknown rock type:", name);
+        return;
+    }
+    activeRockType = name;
+    notify();
+}
+
+// Call listener whenever a type is registered or removed, or the active one
+// changes. Returns a function that stops listening.
+export function onRockTypesChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// --- Built-in rock types ---
+
+registerRockType("cracked_boulder", {
+    label: "Cracked Boulder",
+    texturePath: "rock_textures/cracked_boulder/cracked_boulder",
+    density: 2600, // Weathered granite
+    friction: 0.6, // Rough surface grips the floor
+    restitution: 0.4,
+    roughness: 0.9,
+    metalness: 0.1,
+    shape: { flatness: 0.72, edgeRoundness: 0.45, surfaceNoise: 0.6 }, // Rough, broken-off pieces
+});
+
+registerRockType("coast", {
+    label: "Coast",
+    texturePath: "rock_textures/coast/coast",
+    density: 2650,
+    friction: 0.5,
+    restitution: 0.5,
+    roughness: 0.7,
+    metalness: 0.2,
+    shape: { flatness: 0.75, edgeRoundness: 0.85, surfaceNoise: 0.15 }, // Worn smooth by the sea
+});
+
+registerRockType("slate", {
+    label: "Slate",
+    texturePath: "rock_textures/slate/slate",
+    density: 2800, // Dense slate sinks fastest
+    friction: 0.35, // Smooth slate slides furthest
+    restitution: 0.55,
+    roughness: 0.6,
+    metalness: 0.2,
+    shape: { flatness: 0.9, ellipticity: 0.35, edgeRoundness: 0.3, surfaceNoise: 0.1 }, // Splits into thin sheets
+});
@@ -0,0 +1,370 @@
+import * as THREE from "three";
+import splashVertexShader from "../shaders/splash_vertex.glsl?raw";
+import splashFragmentShader from "../shaders/splash_fragment.glsl?raw";
+import foamVertexShader from "../shaders/foam_vertex.glsl?raw";
+import foamFragmentShader from "../shaders/foam_fragment.glsl?raw";
+import windWavesShader from "../shaders/wind_waves.glsl?raw";
+
+// Splashes of rocks hitting the water: spray, droplets and foam.
+// Droplets are GPU instances in a ring buffer. Each flies a ballistic arc
+// worked out in the vertex shader from its launch, so the CPU only writes a
+// droplet once, when it is thrown. The landing time is known at launch; a
+// few droplets of each splash are kept on the CPU until they land, to add a
+// small ripple and a fleck of foam where they do. Foam patches are instanced
+// quads lying on the water (following its ripples and wind waves) that drift
+// with the current and fade.
+// How much a splash throws scales with the impact's intensity, the same
+// measure that sizes its ripple (impactIntensity in rockPhysics.js). A skip
+// throws a fan of spray forward along the stone's path; a sinking stone a
+// round crown, with a jet rising from the middle as the crater closes.
+
+const GRAVITY = 9.81; // m/s^2
+
+// Intensity of a splash of strength 1, about a 10 m/s throw of a 5 cm stone
+const REFERENCE_INTENSITY = 0.5;
+const MAX_STRENGTH = 3;
+
+// Droplets thrown at strength 1
+const SKIP_DROPLETS = 80;
+const SINK_DROPLETS = 180;
+
+// Share of a sink's droplets in the central jet, and how long after the
+// impact it rises
+const JET_SHARE = 0.15;
+const JET_DELAY = 0.18; // s
+
+// Droplets of a splash that ripple the water where they land
+const SKIP_LANDINGS = 6;
+const SINK_LANDINGS = 14;
+
+// Quad corners shared by the droplets and foam patches
+const QUAD_CORNERS = [-1, -1, 0, 1, -1, 0, 1, 1, 0, -1, 1, 0];
+const QUAD_INDEX = [0, 1, 2, 0, 2, 3];
+
+export default class Splashes extends THREE.Group {
+    constructor(options = {}) {
+        super();
+        this.water = options.water || null;
+        this.options = {
+            enabled: options.enabled ?? true,
+            amount: options.amount ?? 1, // Scales the number of droplets
+            maxDroplets: options.maxDroplets || 3000,
+            maxFoam: options.maxFoam || 200,
+            dropletSize: options.dropletSize || 0.006, // Radius in m of an average droplet
+            foamLifetime: options.foamLifetime || 4, // s a splash's foam lasts at strength 1
+            landingRipple: options.landingRipple ?? 0.02, // Ripple of a landing droplet, relative to uDisturbanceAmount
+        };
+
+        this.time = 0;
+        this.nextDroplet = 0;
+        this.nextFoam = 0;
+        this.landings = []; // Droplets to ripple the water when they land: { time, x, z, size }
+        this.dropletsChanged = false;
+        this.foamChanged = false;
+        this.flow = new THREE.Vector3();
+        this.uv = new THREE.Vector2();
+
+        this.createDroplets();
+        this.createFoam();
+    }
+
+    // --- Droplets ---
+    createDroplets() {
+        const { maxDroplets } = this.options;
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.setAttribute("position", new THREE.Float32BufferAttribute(QUAD_CORNERS, 3));
+        geometry.setIndex(QUAD_INDEX);
+        geometry.setAttribute("aOrigin", dynamicAttribute(maxDroplets, 3));
+        geometry.setAttribute("aVelocity", dynamicAttribute(maxDroplets, 3));
+        geometry.setAttribute("aLife", dynamicAttribute(maxDroplets, 2));
+        geometry.setAttribute("aSize", dynamicAttribute(maxDroplets, 1));
+        geometry.instanceCount = maxDroplets;
+
+        this.dropletMaterial = new THREE.ShaderMaterial({
+            vertexShader: splashVertexShader,
+            fragmentShader: splashFragmentShader,
+            uniforms: {
+                uTime: { value: 0 },
+                uGravity: { value: GRAVITY },
+                uColor: { value: new THREE.Color(0xe8f4ff) },
+                uOpacity: { value: 0.8 },
+            },
+            transparent: true,
+            depthWrite: false,
+        });
+
+        this.droplets = new THREE.Mesh(geometry, this.dropletMaterial);
+        // The droplets are placed in the shader; their bounds are never known
+        this.droplets.frustumCulled = false;
+        this.droplets.renderOrder = 1;
+        this.add(this.droplets);
+    }
+
+    // Throw a droplet from (x, y, z) with velocity (vx, vy, vz), after delay
+    // s. Returns the time it lands back on the water.
+    launch(x, y, z, vx, vy, vz, size, delay = 0) {
+        const attributes = this.droplets.geometry.attributes;
+        const i = this.nextDroplet;
+        this.nextDroplet = (i + 1) % this.options.maxDroplets;
+
+        // Time to fall back to the water level from the launch height
+        const drop = Math.max(y - this.waterLevel(), 0);
+        const flight = (vy + Math.sqrt(vy * vy + 2 * GRAVITY * drop)) / GRAVITY;
+        const birth = this.time + delay;
+
+        attributes.aOrigin.setXYZ(i, x, y, z);
+        attributes.aVelocity.setXYZ(i, vx, vy, vz);
+        attributes.aLife.setXY(i, birth, birth + flight);
+        attributes.aSize.setX(i, size);
+        this.dropletsChanged = true;
+        return birth + flight;
+    }
+
+    // --- Foam ---
+    createFoam() {
+        const { maxFoam } = this.options;
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.setAttribute("position", new THREE.Float32BufferAttribute(QUAD_CORNERS, 3));
+        geometry.setIndex(QUAD_INDEX);
+        geometry.setAttribute("aCenter", dynamicAttribute(maxFoam, 2));
+        geometry.setAttribute("aDrift", dynamicAttribute(maxFoam, 2));
+        geometry.setAttribute("aLife", dynamicAttribute(maxFoam, 3));
+        geometry.setAttribute("aSize", dynamicAttribute(maxFoam, 1));
+        geometry.instanceCount = maxFoam;
+
+        // The foam sits on the water, so it shares the water's height field,
+        // scale and wind waves (the uniform objects themselves, which the
+        // water keeps up to date)
+        const water = this.water;
+        const waterUniforms = water ? water.material.uniforms : null;
+        this.foamMaterial = new THREE.ShaderMaterial({
+            vertexShader: windWavesShader + foamVertexShader,
+            fragmentShader: foamFragmentShader,
+            defines: { MAX_WIND_WAVES: water ? water.windUniforms.uWindWaves.value.length : 1 },
+            uniforms: {
+                ...(water
+                    ? water.windUniforms
+                    : {
+                          uWindWaveCount: { value: 0 },
+                          uWindWaves: { value: [new THREE.Vector4()] },
+                          uWindWavePhases: { value: [new THREE.Vector4()] },
+                          uWindTime: { value: 0 },
+                      }),
+                uHeightMap: waterUniforms ? waterUniforms.uHeightMap : { value: null },
+                uHeightScale: waterUniforms ? waterUniforms.uHeightScale : { value: 0 },
+                uPlaneSize: waterUniforms ? waterUniforms.uPlaneSize : { value: new THREE.Vector2(2, 2) },
+                uWaterLevel: { value: 0 },
+                uTime: { value: 0 },
+                uColor: { value: new THREE.Color(0xf4f8fa) },
+                uOpacity: { value: 0.85 },
+            },
+            transparent: true,
+            depthWrite: false,
+        });
+
+        this.foam = new THREE.Mesh(geometry, this.foamMaterial);
+        this.foam.frustumCulled = false;
+        this.foam.renderOrder = 1; // Over the water, which is transparent too
+        this.add(this.foam);
+    }
+
+    // Leave a patch of foam of the given radius at world (x, z), lasting
+    // lifetime s. It drifts with the current there.
+    leaveFoam(x, z, size, lifetime) {
+        const attributes = this.foam.geometry.attributes;
+        const i = this.nextFoam;
+        this.nextFoam = (i + 1) % this.options.maxFoam;
+
+        const drift = this.water ? this.water.sampleCurrent(x, z, this.flow) : this.flow.set(0, 0, 0);
+        attributes.aCenter.setXY(i, x, z);
+        attributes.aDrift.setXY(i, drift.x, drift.z);
+        attributes.aLife.setXYZ(i, this.time, lifetime, Math.random());
+        attributes.aSize.setX(i, size);
+        this.foamChanged = true;
+    }
+
+    // --- Impacts ---
+    // Splash for a skip or sink event of the rock physics, from a stone of
+    // the given radius
+    emitImpact(event, radius = 0.05) {
+        if (!this.options.enabled) return;
+        if (event.type !== "skip" && event.type !== "sink") return;
+
+        const strength = THREE.MathUtils.clamp(Math.sqrt(event.intensity / REFERENCE_INTENSITY), 0.05, MAX_STRENGTH);
+        if (event.type === "sink") {
+            this.crown(event, radius, strength);
+        } else {
+            this.spray(event, radius, strength);
+        }
+    }
+
+    // A skip: a fan of spray thrown forward and up either side of the path,
+    // wider and faster the harder the stone hits
+    spray(event, radius, strength) {
+        const { x, z } = event.position;
+        const level = this.waterLevel();
+        const velocity = event.velocity;
+        const heading = Math.atan2(velocity.x, velocity.z); // From +z towards +x
+        const forward = Math.hypot(velocity.x, velocity.z);
+        const spread = 0.35 + 0.25 * strength; // Half-angle of the fan, radians
+        const count = Math.round(SKIP_DROPLETS * strength * this.options.amount);
+
+        for (let i = 0; i < count; i++) {
+            // Mostly forward; some spray peels off sideways
+            const side = Math.random() < 0.3 ? Math.sign(Math.random() - 0.5) * Math.PI * 0.4 : 0;
+            const azimuth = heading + side + (Math.random() * 2 - 1) * spread;
+            const elevation = THREE.MathUtils.degToRad(15 + 40 * Math.random());
+            const speed = (0.5 + 0.6 * strength) * (0.4 + Math.random()) + 0.15 * forward * Math.random();
+            const horizontal = speed * Math.cos(elevation);
+            this.throwDroplet(
+                x + (Math.random() - 0.5) * radius,
+                level,
+                z + (Math.random() - 0.5) * radius,
+                horizontal * Math.sin(azimuth),
+                speed * Math.sin(elevation),
+                horizontal * Math.cos(azimuth),
+                strength,
+                0,
+                i < SKIP_LANDINGS
+            );
+        }
+
+        this.leaveFoam(x, z, radius * (1.5 + strength), this.options.foamLifetime * (0.5 + 0.5 * strength));
+    }
+
+    // A sink: a crown of droplets thrown up all round the crater's rim, then a
+    // jet from its middle
+    crown(event, radius, strength) {
+        const { x, z } = event.position;
+        const level = this.waterLevel();
+        const rim = radius * (1.5 + 0.5 * strength);
+        const count = Math.round(SINK_DROPLETS * strength * this.options.amount);
+        const jet = Math.round(count * JET_SHARE);
+
+        for (let i = 0; i < count; i++) {
+            const landing = i % Math.max(Math.floor(count / SINK_LANDINGS), 1) === 0;
+            if (i < jet) {
+                // Central jet: nearly straight up, a little later
+                const lean = 0.15 * Math.random();
+                const azimuth = Math.random() * Math.PI * 2;
+                const speed = (1.2 + 1.2 * strength) * (0.7 + 0.5 * Math.random());
+                this.throwDroplet(
+                    x,
+                    level,
+                    z,
+                    speed * lean * Math.sin(azimuth),
+                    speed,
+                    speed * lean * Math.cos(azimuth),
+                    strength,
+                    JET_DELAY * (0.8 + 0.4 * Math.random()),
+                    false
+                );
+                continue;
+            }
+
+            // Crown: steep, leaning out from the rim
+            const azimuth = Math.random() * Math.PI * 2;
+            const elevation = THREE.MathUtils.degToRad(55 + 25 * Math.random());
+            const speed = (0.8 + 0.9 * strength) * (0.6 + 0.6 * Math.random());
+            const horizontal = speed * Math.cos(elevation);
+            this.throwDroplet(
+                x + rim * Math.sin(azimuth),
+                level,
+                z + rim * Math.cos(azimuth),
+                horizontal * Math.sin(azimuth),
+                speed * Math.sin(elevation),
+                horizontal * Math.cos(azimuth),
+                strength,
+                0,
+                landing
+            );
+        }
+
+        const lifetime = this.options.foamLifetime * (0.75 + 0.5 * strength);
+        this.leaveFoam(x, z, rim * 1.2, lifetime);
+        for (let i = 0; i < 5; i++) {
+            const azimuth = (i / 5) * Math.PI * 2 + Math.random();
+            this.leaveFoam(x + rim * Math.sin(azimuth), z + rim * Math.cos(azimuth), rim * 0.6, lifetime * 0.7);
+        }
+    }
+
+    // Throw a droplet sized for the splash strength; with ripple, it ripples
+    // the water where it lands
+    throwDroplet(x, y, z, vx, vy, vz, strength, delay, ripple) {
+        const size = this.options.dropletSize * (0.5 + Math.random()) * (0.7 + 0.3 * Math.min(strength, 2));
+        const landing = this.launch(x, y, z, vx, vy, vz, size, delay);
+        if (!ripple) return;
+
+        const flight = landing - this.time - delay;
+        this.landings.push({ time: landing, x: x + vx * flight, z: z + vz * flight, size });
+    }
+
+    // --- Update ---
+    // Advance the splashes; droplets due to land ripple the water
+    update(deltaTime) {
+        this.time += deltaTime;
+        this.dropletMaterial.uniforms.uTime.value = this.time;
+        this.foamMaterial.uniforms.uTime.value = this.time;
+        this.foamMaterial.uniforms.uWaterLevel.value = this.waterLevel();
+
+        for (let i = this.landings.length - 1; i >= 0; i--) {
+            const landing = this.landings[i];
+            if (landing.time > this.time) continue;
+            this.landings.splice(i, 1);
+            this.land(landing);
+        }
+
+        if (this.dropletsChanged) {
+            Object.values(this.droplets.geometry.attributes).forEach((attribute) => {
+                if (attribute.isInstancedBufferAttribute) attribute.needsUpdate = true;
+            });
+            this.dropletsChanged = false;
+        }
+        if (this.foamChanged) {
+            Object.values(this.foam.geometry.attributes).forEach((attribute) => {
+                if (attribute.isInstancedBufferAttribute) attribute.needsUpdate = true;
+            });
+            this.foamChanged = false;
+        }
+    }
+
+    // A droplet fell back on the water: a little ripple and a fleck of foam.
+    // Droplets landing outside the pool are lost.
+    land({ x, z, size }) {
+        const water = this.water;
+        if (!water) return;
+        const { width, height } = water.waterPlaneSize;
+        if (Math.abs(x) > width / 2 || Math.abs(z) > height / 2) return;
+
+        const amount = water.simulationMaterial.uniforms.uDisturbanceAmount.value * this.options.landingRipple;
+        water.addDisturbance(water.worldToUv(x, z, this.uv), amount * (size / this.options.dropletSize));
+        this.leaveFoam(x, z, size * 4, this.options.foamLifetime * 0.4);
+    }
+
+    // Rest height of the water, where droplets start and land
+    waterLevel() {
+        return this.water ? this.water.position.y : 0;
+    }
+
+    // Remove all droplets and foam
+    reset() {
+        this.landings = [];
+        [this.droplets, this.foam].forEach((mesh) => {
+            const life = mesh.geometry.attributes.aLife;
+            life.array.fill(-1);
+            life.needsUpdate = true;
+        });
+    }
+
+    dispose() {
+        this.droplets.geometry.dispose();
+        this.dropletMaterial.dispose();
+        this.foam.geometry.dispose();
+        this.foamMaterial.dispose();
+    }
+}
+
+// Per-instance attribute rewritten as instances are thrown
+function dynamicAttribute(count, itemSize) {
+    return new THREE.InstancedBufferAttribute(new Float32Array(count * itemSize), itemSize).setUsage(THREE.DynamicDrawUsage);
+}
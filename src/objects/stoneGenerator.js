@@ -0,0 +1,158 @@
+import * as THREE from "three";
+import { createRandom, hashSeed } from "../physics/random.js";
+import { geometryMassProperties, stonePhysicsParams } from "../physics/massProperties.js";
+
+// Procedural skipping stones.
+// A stone starts as a superellipsoid: an outline that is round or egg-long in
+// the plane (ellipticity), a thickness below its width (flatness) and an edge
+// profile between a square slab and a fully rounded pebble (edge roundness).
+// Seeded value noise then roughens the surface. The same seed and parameters
+// always give the same stone, and its mass properties are measured from the
+// finished mesh so the physics throws the stone that is drawn.
+
+export const DEFAULT_STONE_OPTIONS = {
+    size: 0.05, // Half the length of the stone, in metres
+    flatness: 0.75, // 0 is a ball, 1 a thin wafer
+    ellipticity: 0.2, // 0 is a round outline, 1 one twice as long as wide
+    edgeRoundness: 0.6, // 0 is a square-edged slab, 1 a smooth lens
+    surfaceNoise: 0.3, // Amount of lumps and dents on the surface
+    variation: 0.3, // How much each seed varies the parameters above
+    segments: 48, // Segments around and along the generating sphere
+};
+
+// Smoothed 3D value noise on a seeded lattice, roughly in [-1, 1]
+function createValueNoise(seed) {
+    const base = hashSeed(seed);
+    const lattice = (x, y, z) => {
+        let h = base ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(z, 0x9e3779b1);
+        h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        return ((h ^ (h >>> 16)) >>> 0) / 2147483648 - 1;
+    };
+    const fade = (t) => t * t * (3 - 2 * t);
+
+    return (x, y, z) => {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const z0 = Math.floor(z);
+        const fx = fade(x - x0);
+        const fy = fade(y - y0);
+        const fz = fade(z - z0);
+
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            const dx = i & 1;
+            const dy = (i >> 1) & 1;
+            const dz = (i >> 2) & 1;
+            const weight = (dx ? fx : 1 - fx) * (dy ? fy : 1 - fy) * (dz ? fz : 1 - fz);
+            value += weight * lattice(x0 + dx, y0 + dy, z0 + dz);
+        }
+        return value;
+    };
+}
+
+// Signed power used by the superellipsoid: keeps the sign of the base
+function signedPow(value, exponent) {
+    return Math.sign(value) * Math.pow(Math.abs(value), exponent);
+}
+
+// Stone parameters for a seed: the given ones, each moved by up to
+// `variation` of its range so no two stones are quite alike. Size and
+// flatness set the mass, so they vary less: a stone picked for skipping is
+// still a skipping stone.
+function varyOptions(options, random) {
+    const vary = (value, min, max, spread = 1) => {
+        const offset = (random() * 2 - 1) * options.variation * spread * (max - min) * 0.5;
+        return THREE.MathUtils.clamp(value + offset, min, max);
+    };
+    return {
+        ...options,
+        size: options.size * (1 + (random() * 2 - 1) * options.variation * 0.15),
+        flatness: vary(options.flatness, 0, 1, 0.4),
+        ellipticity: vary(options.ellipticity, 0, 1),
+        edgeRoundness: vary(options.edgeRoundness, 0, 1),
+        surfaceNoise: vary(options.surfaceNoise, 0, 1),
+    };
+}
+
+// Generate a stone for the seed from the given options (see
+// DEFAULT_STONE_OPTIONS) and the density of its rock. Returns its geometry,
+// centred on the centre of mass with the face normal along +y, the
+// parameters it was built with, its measured mass properties and the rock
+// physics parameters they give.
+export function generateStone(options = {}, density = 2700) {
+    const settings = { ...DEFAULT_STONE_OPTIONS };
+    Object.keys(options).forEach((key) => {
+        if (options[key] !== undefined && options[key] !== null) settings[key] = options[key];
+    });
+    const seed = settings.seed ?? 0;
+    const shape = varyOptions(settings, createRandom(`stone:${seed}`));
+    const noise = createValueNoise(`stone-noise:${seed}`);
+
+    // Semi-axes: length along x, width along z, half thickness along y
+    const length = shape.size;
+    const width = length / (1 + shape.ellipticity);
+    // Thickness falls off steeply with flatness: the default 0.75 gives a
+    // stone about 1 cm thick for its 10 cm length, like a real skipping stone
+    const halfThickness = length * (0.06 + 0.94 * Math.pow(1 - shape.flatness, 2.5));
+    // Profile exponent: 1 is an ellipse, lower squares the edge off
+    const profile = 0.2 + 0.8 * shape.edgeRoundness;
+    const roughness = 0.15 * shape.surfaceNoise;
+
+    const geometry = new THREE.SphereGeometry(1, shape.segments, shape.segments);
+    const positions = geometry.attributes.position;
+    const direction = new THREE.Vector3();
+
+    for (let i = 0; i < positions.count; i++) {
+        direction.fromBufferAttribute(positions, i);
+
+        // Latitude and longitude of the sphere vertex mapped onto the
+        // superellipsoid
+        const latitude = Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1));
+        const longitude = Math.atan2(direction.z, direction.x);
+        const ring = signedPow(Math.cos(latitude), profile);
+        const x = length * ring * Math.cos(longitude);
+        const y = halfThickness * signedPow(Math.sin(latitude), profile);
+        const z = width * ring * Math.sin(longitude);
+
+        // Lumps at two scales, sampled by direction so the seam of the
+        // sphere stays closed
+        const lumps =
+            noise(direction.x * 2, direction.y * 2, direction.z * 2) * 0.7 +
+            noise(direction.x * 5 + 17, direction.y * 5, direction.z * 5) * 0.3;
+        direction.set(x, y, z).multiplyScalar(1 + roughness * lumps);
+        positions.setXYZ(i, direction.x, direction.y, direction.z);
+    }
+
+    return finishStone(geometry, density, shape);
+}
+
+// A stone from a mesh in the unit stone frame, as imported rock meshes are
+// stored (see rockImport.js): face normal along +y and reaching 1 from its
+// centre in the plane. It is scaled to the given size.
+export function stoneFromGeometry(geometry, size, density) {
+    const scaled = geometry.clone();
+    scaled.scale(size, size, size);
+    return finishStone(scaled, density, null);
+}
+
+// Centre a stone geometry on its centre of mass, so it turns about it as the
+// physics does, and measure it. Returns the stone as generateStone does.
+function finishStone(geometry, density, shape) {
+    const properties = geometryMassProperties(geometry, density);
+    geometry.translate(-properties.centerOfMass.x, -properties.centerOfMass.y, -properties.centerOfMass.z);
+    properties.centerOfMass.set(0, 0, 0);
+
+    geometry.computeVertexNormals();
+    // Tangents for the normal map, where the mesh is UV mapped
+    if (geometry.attributes.uv && geometry.index) {
+        geometry.computeTangents();
+    }
+
+    return {
+        geometry,
+        shape,
+        properties,
+        physics: stonePhysicsParams(properties),
+    };
+}
@@ -4,10 +4,48 @@ import fragmentShader from '../shaders/water_fragment.glsl?raw';
 // --- Import Simulation Shaders ---
 import simulationVertexShader from '../shaders/simulation_vertex.glsl?raw';
 import simulationFragmentShader from '../shaders/simulation_fragment.glsl?raw';
+import resampleFragmentShader from '../shaders/resample_fragment.glsl?raw';
+import { phaseSpeed, waveStencil } from '../physics/waterWaves.js';
+import { sampleWindWaves, windWaves } from '../physics/windWaves.js';
+import { CURRENT_PROFILES, surfaceCurrent } from '../physics/current.js';
+import windWavesShader from '../shaders/wind_waves.glsl?raw';
 // --- Import Caustics Shaders ---
 import causticsVertexShader from '../shaders/caustics_vertex.glsl?raw';
 import causticsFragmentShader from '../shaders/caustics_fragment.glsl?raw';
 
+// Disturbances the simulation shader applies in one pass. More in a frame
+// are applied by extra passes that do not advance the waves.
+const MAX_DISTURBANCES = 16;
+
+// Room for the taps of the wave stencil; a fit for any grid the UI allows
+// needs fewer than this
+const MAX_WAVE_TAPS = 48;
+
+// A chamfer distance with steps of 1 and sqrt(2) texels is at most this much
+// longer than the true distance
+const CHAMFER_ERROR = 1.0824;
+
+// Most simulation steps in a frame. A step has to be short enough for the
+// fastest wave the grid holds; a frame needing more steps runs slow.
+const MAX_SUBSTEPS = 16;
+
+// Longest frame the simulation catches up on
+const MAX_FRAME_TIME = 1 / 30;
+
+// Radius of an impact crater relative to the stone's
+const CRATER_SCALE = 1.5;
+
+// Gerstner waves in the wind sea under the ripples (see windWaves.js)
+const MAX_WIND_WAVES = 16;
+
+// Boundary conditions of the wave simulation, as the simulation shader
+// numbers them:
+// - reflective: walls that bounce the waves back (a pool)
+// - absorbing: a sponge layer along the edges that soaks the waves up, as if
+//   they ran on out of view (an open lake)
+// - periodic: waves leaving one edge come back in at the opposite one
+export const BOUNDARY_MODES = { reflective: 0, absorbing: 1, periodic: 2 };
+
 export default class Water extends THREE.Mesh {
     constructor(options) {
         super();
@@ -34,20 +72,47 @@ export default class Water extends THREE.Mesh {
         this.simulationMaterial = new THREE.ShaderMaterial({
             vertexShader: simulationVertexShader,
             fragmentShader: simulationFragmentShader,
+            defines: { MAX_DISTURBANCES, MAX_WAVE_TAPS },
             uniforms: {
                 tPrev: { value: this.renderTarget1.texture }, // Start reading from RT1
                 uResolution: { value: new THREE.Vector2(this.simulationResolution, this.simulationResolution) },
                 uDelta: { value: 0.0 },
-                uViscosity: { value: 0.1 },
+                uViscosity: { value: 0.8 },
                 uAspect: { value: aspectRatio },
-                uApplyDisturbance: { value: false },
-                uDisturbancePos: { value: new THREE.Vector2() },
+                uDepth: { value: -(options.floorDepth || -1) },
+                uWaveTapCount: { value: 0 },
+                uWaveTaps: { value: Array.from({ length: MAX_WAVE_TAPS }, () => new THREE.Vector4()) },
+                uBoundaryMode: { value: BOUNDARY_MODES[options.boundaryMode || 'reflective'] },
+                uPlaneSize: { value: new THREE.Vector2(this.waterPlaneSize.width, this.waterPlaneSize.height) },
+                uSpongeWidth: { value: options.spongeWidth || 0.5 },
+                uSpongeStrength: { value: options.spongeStrength || 16.0 },
+                uDisturbanceCount: { value: 0 },
+                uDisturbances: { value: Array.from({ length: MAX_DISTURBANCES }, () => new THREE.Vector4()) },
+                uDisturbanceShapes: { value: Array.from({ length: MAX_DISTURBANCES }, () => new THREE.Vector4()) },
                 uDisturbanceAmount: { value: 1 },
-                uDisturbanceIntensity: { value: 1 },
                 uDisturbanceRadius: { value: 0.004 },
+                uObstacleMask: { value: null },
+                uCurrent: { value: new THREE.Vector2() },
+                uCurrentProfile: { value: 0 },
             }
         });
 
+        // --- Current ---
+        // A river's surface current, which carries the ripples downstream
+        // (see current.js). Direction is in degrees from +z towards +x.
+        this.current = {
+            speed: options.currentSpeed || 0, // m/s; still water by default
+            direction: options.currentDirection ?? 0,
+            profile: options.currentProfile || 'uniform',
+        };
+        this.updateCurrent();
+
+        // --- Obstacles ---
+        // Texels covered by obstacles standing or floating in the water are
+        // walls to the waves (see setObstacles)
+        this.obstacles = [];
+        this.updateObstacleMask();
+
         // Simulation Scene and Camera
         this.simulationScene = new THREE.Scene();
         this.simulationCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
@@ -57,9 +122,45 @@ export default class Water extends THREE.Mesh {
         );
         this.simulationScene.add(this.simulationQuad);
 
-        this.disturbanceQueue = []; // Queue for click/collision disturbances
+        // Wave speeds in m/s for this grid and depth
+        this.updateWaveStencil();
+
+        this.disturbanceQueue = []; // Impacts, splashes, rain, drips and brush strokes for the next simulate()
         // --- End Simulation Setup ---
 
+        // --- Wind Setup ---
+        // Ambient waves raised by the wind, added to the simulated ripples
+        // wherever the surface is drawn, lit or sampled. Direction is in
+        // degrees from +z (away from the thrower) towards +x.
+        this.wind = {
+            speed: options.windSpeed ?? 0, // m/s; a still pool by default
+            direction: options.windDirection ?? 0,
+            fetch: options.windFetch || 200, // m of water the wind has blown over
+            choppiness: options.windChoppiness ?? 0.5,
+        };
+        this.windWaves = [];
+        this.windTime = 0;
+        this.windSample = { height: 0, normal: { x: 0, y: 1, z: 0 } }; // Scratch for sampleSurface
+        // Shared by the water and caustics materials
+        this.windUniforms = {
+            uWindWaveCount: { value: 0 },
+            uWindWaves: { value: Array.from({ length: MAX_WIND_WAVES }, () => new THREE.Vector4()) },
+            uWindWavePhases: { value: Array.from({ length: MAX_WIND_WAVES }, () => new THREE.Vector4()) },
+            uWindTime: { value: 0 },
+        };
+        this.updateWindWaves();
+        // --- End Wind Setup ---
+
+        // Metres per unit of simulated height, for the water and caustics
+        const heightScale = { value: 0.2 };
+
+        // --- Surface Readback Setup ---
+        // Patches of the height field copied back to the CPU so rocks can
+        // collide with the simulated surface (see sampleSurface)
+        this.surfaceRegionRequests = []; // World-space areas wanted for the next frame
+        this.surfaceRegions = []; // Patches read back this frame
+        // --- End Surface Readback Setup ---
+
         // --- Caustics Setup ---
         this.causticsResolution = this.waterResolution * 2; // Caustics can be higher res if needed
         this.causticsRenderTarget = new THREE.WebGLRenderTarget(this.causticsResolution, this.causticsResolution, {
@@ -72,14 +173,18 @@ export default class Water extends THREE.Mesh {
 
         this.causticsMaterial = new THREE.ShaderMaterial({
             vertexShader: causticsVertexShader,
-            fragmentShader: causticsFragmentShader,
+            fragmentShader: windWavesShader + causticsFragmentShader,
+            defines: { MAX_WIND_WAVES },
             uniforms: {
+                ...this.windUniforms,
                 uHeightMap: { value: null }, // Will be set in renderCaustics
                 uResolution: { value: new THREE.Vector2(this.simulationResolution, this.simulationResolution) }, // Resolution of heightmap
                 uCausticsResolution: { value: new THREE.Vector2(this.causticsResolution, this.causticsResolution) },
                 uLightDirection: { value: options.lightDirection }, // Example light direction
                 uWaterDepth: { value: options.floorDepth }, // Virtual depth for refraction calculation
                 uIntensity: { value: 1.5 }, // Caustics brightness
+                uPlaneSize: { value: new THREE.Vector2(this.waterPlaneSize.width, this.waterPlaneSize.height) },
+                uHeightScale: heightScale,
             },
             transparent: true,
         });
@@ -95,7 +200,9 @@ export default class Water extends THREE.Mesh {
 
         // --- Main Water Material ---
         this.material = new THREE.ShaderMaterial({
+            defines: { MAX_WIND_WAVES },
             uniforms: {
+                ...this.windUniforms,
                 uEnvironmentMap: { value: options.envMap },
                 uTroughColor: { value: new THREE.Color('#186691') },
                 uSurfaceColor: { value: new THREE.Color('#9bd8c0') },
@@ -109,9 +216,10 @@ export default class Water extends THREE.Mesh {
                 uFresnelStrength: { value: 0.8 },
                 uFresnelPower: { value: 0.5 },
                 uHeightMap: { value: this.renderTarget2.texture }, // Start rendering water using RT2
-                uHeightScale: { value: 0.2 }
+                uHeightScale: heightScale,
+                uPlaneSize: { value: new THREE.Vector2(this.waterPlaneSize.width, this.waterPlaneSize.height) },
             },
-            vertexShader: vertexShader,
+            vertexShader: windWavesShader + vertexShader,
             fragmentShader: fragmentShader,
             transparent: true,
             side: THREE.DoubleSide,
@@ -129,16 +237,242 @@ export default class Water extends THREE.Mesh {
     }
 
     // --- Add Disturbance to Simulation ---
-    addDisturbance(uvPosition, amount) {
+    // Queue an impulse of the given amount at a UV position. Without an
+    // impact shape it is a round bump of uDisturbanceRadius. The shape
+    // describes what hit the water:
+    // - direction: direction of travel in world XZ (Vector2), ignored when
+    //   coming straight down
+    // - impactAngle: radians between the path and the water, PI / 2 is
+    //   straight down (the default)
+    // - size: radius of the stone in m
+    // A grazing impact (a skip) leaves a crater stretched along the direction
+    // of travel and pushes a wave out ahead of it; a steep one (a sink) a
+    // deeper round crater with a raised rim, whose middle rebounds.
+    addDisturbance(uvPosition, amount, shape = null) {
         // Clamp UVs just in case
         const clampedUvX = Math.max(0.0, Math.min(1.0, uvPosition.x));
         const clampedUvY = Math.max(0.0, Math.min(1.0, uvPosition.y));
         this.disturbanceQueue.push({
             position: new THREE.Vector2(clampedUvX, clampedUvY),
-            amount: amount
+            amount: amount,
+            shape: shape ? this.impactShape(shape) : null
         });
     }
 
+    // --- Wave Speed ---
+    // Fit the wave stencil to the dispersion relation for the current grid
+    // and depth, so waves run at their real speed in m/s (see waterWaves.js)
+    updateWaveStencil() {
+        const uniforms = this.simulationMaterial.uniforms;
+        const { taps, maxFrequency } = waveStencil({
+            cellX: this.waterPlaneSize.width / this.simulationResolution,
+            cellZ: this.waterPlaneSize.height / this.simulationResolution,
+            width: this.waterPlaneSize.width,
+            height: this.waterPlaneSize.height,
+            depth: uniforms.uDepth.value,
+        });
+        if (taps.length > MAX_WAVE_TAPS) {
+            console.warn(`The wave stencil needs ${taps.length} taps, only ${MAX_WAVE_TAPS} are used`);
+        }
+
+        const used = taps.slice(0, MAX_WAVE_TAPS);
+        used.forEach(({ i, j, weight }, n) => uniforms.uWaveTaps.value[n].set(i, j, weight, 0));
+        uniforms.uWaveTapCount.value = used.length;
+        this.maxWaveFrequency = maxFrequency;
+    }
+
+    // Phase speed in m/s of waves of the given wavelength in m; long waves
+    // run at the shallow water speed sqrt(g * depth)
+    waveSpeed(wavelength = Infinity) {
+        return phaseSpeed((2 * Math.PI) / wavelength, this.simulationMaterial.uniforms.uDepth.value);
+    }
+
+    // --- Wind ---
+    // Change the wind: any of speed (m/s), direction (degrees), fetch (m)
+    // and choppiness (0 to 1). The wind sea is redrawn for the new wind.
+    setWind(settings) {
+        Object.assign(this.wind, settings);
+        this.updateWindWaves();
+    }
+
+    // Draw the waves of the wind sea for the current wind and depth
+    updateWindWaves() {
+        const { speed, direction, fetch, choppiness } = this.wind;
+        this.windWaves = windWaves({
+            speed,
+            direction: THREE.MathUtils.degToRad(direction),
+            fetch,
+            choppiness,
+            depth: this.simulationMaterial.uniforms.uDepth.value,
+            count: MAX_WIND_WAVES,
+        });
+
+        const uniforms = this.windUniforms;
+        this.windWaves.forEach((wave, i) => {
+            uniforms.uWindWaves.value[i].set(wave.direction.x, wave.direction.z, wave.k, wave.amplitude);
+            uniforms.uWindWavePhases.value[i].set(wave.omega, wave.phase, wave.steepness, 0);
+        });
+        uniforms.uWindWaveCount.value = this.windWaves.length;
+    }
+
+    // --- Obstacles ---
+    // Set the obstacles standing or floating in the water, as { x, z, radius }
+    // circles in world XZ. The waves reflect off them and bend around them.
+    setObstacles(obstacles) {
+        this.obstacles = obstacles.map(({ x, z, radius }) => ({ x, z, radius }));
+        this.updateObstacleMask();
+    }
+
+    // Paint the obstacles into the mask texture the simulation reads, one
+    // byte per texel: 0 where the texel centre is inside an obstacle,
+    // elsewhere how many texels at least it is from the nearest one, up to
+    // 255. The long taps of the wave stencil march through these distances,
+    // so they cannot jump over a thin obstacle.
+    updateObstacleMask() {
+        const resolution = this.simulationResolution;
+        const uniform = this.simulationMaterial.uniforms.uObstacleMask;
+        let mask = uniform.value;
+        if (!mask || mask.image.width !== resolution) {
+            if (mask) mask.dispose();
+            mask = new THREE.DataTexture(new Uint8Array(resolution * resolution), resolution, resolution, THREE.RedFormat);
+            mask.minFilter = THREE.NearestFilter;
+            mask.magFilter = THREE.NearestFilter;
+            uniform.value = mask;
+        }
+
+        const data = mask.image.data;
+        data.fill(255);
+        const { width, height } = this.waterPlaneSize;
+        this.obstacles.forEach(({ x, z, radius }) => {
+            // Texel range around the obstacle. V runs against world Z.
+            const u0 = Math.max(Math.floor(((x - radius) / width + 0.5) * resolution), 0);
+            const u1 = Math.min(Math.ceil(((x + radius) / width + 0.5) * resolution), resolution - 1);
+            const v0 = Math.max(Math.floor((-(z + radius) / height + 0.5) * resolution), 0);
+            const v1 = Math.min(Math.ceil((-(z - radius) / height + 0.5) * resolution), resolution - 1);
+            for (let v = v0; v <= v1; v++) {
+                const tz = (0.5 - (v + 0.5) / resolution) * height - z;
+                for (let u = u0; u <= u1; u++) {
+                    const tx = ((u + 0.5) / resolution - 0.5) * width - x;
+                    if (tx * tx + tz * tz <= radius * radius) data[v * resolution + u] = 0;
+                }
+            }
+        });
+        if (this.obstacles.length > 0) this.measureObstacleDistances(data, resolution);
+        mask.needsUpdate = true;
+    }
+
+    // Fill the mask around the obstacles with the distance in texels to the
+    // nearest one: a chamfer distance transform, one pass down and one back
+    // up, scaled so it never overestimates
+    measureObstacleDistances(data, resolution) {
+        const distance = new Float32Array(resolution * resolution);
+        for (let i = 0; i < distance.length; i++) distance[i] = data[i] === 0 ? 0 : Infinity;
+
+        const n = resolution;
+        const diagonal = Math.SQRT2;
+        for (let v = 0; v < n; v++) {
+            for (let u = 0; u < n; u++) {
+                const i = v * n + u;
+                let d = distance[i];
+                if (d === 0) continue;
+                if (u > 0) d = Math.min(d, distance[i - 1] + 1);
+                if (v > 0) {
+                    d = Math.min(d, distance[i - n] + 1);
+                    if (u > 0) d = Math.min(d, distance[i - n - 1] + diagonal);
+                    if (u < n - 1) d = Math.min(d, distance[i - n + 1] + diagonal);
+                }
+                distance[i] = d;
+            }
+        }
+        for (let v = n - 1; v >= 0; v--) {
+            for (let u = n - 1; u >= 0; u--) {
+                const i = v * n + u;
+                let d = distance[i];
+                if (d === 0) continue;
+                if (u < n - 1) d = Math.min(d, distance[i + 1] + 1);
+                if (v < n - 1) {
+                    d = Math.min(d, distance[i + n] + 1);
+                    if (u < n - 1) d = Math.min(d, distance[i + n + 1] + diagonal);
+                    if (u > 0) d = Math.min(d, distance[i + n - 1] + diagonal);
+                }
+                distance[i] = d;
+            }
+        }
+
+        for (let i = 0; i < distance.length; i++) {
+            if (data[i] === 0) continue;
+            data[i] = Math.min(Math.max(Math.floor(distance[i] / CHAMFER_ERROR), 1), 255);
+        }
+    }
+
+    // --- Current ---
+    // Change the current: any of speed (m/s), direction (degrees) and
+    // profile (one of CURRENT_PROFILES)
+    setCurrent(settings) {
+        Object.assign(this.current, settings);
+        this.updateCurrent();
+    }
+
+    updateCurrent() {
+        const { speed, direction, profile } = this.current;
+        if (!(profile in CURRENT_PROFILES)) {
+            console.warn('Unknown current profile:', profile);
+            this.current.profile = 'uniform';
+        }
+        const angle = THREE.MathUtils.degToRad(direction);
+        const uniforms = this.simulationMaterial.uniforms;
+        uniforms.uCurrent.value.set(speed * Math.sin(angle), speed * Math.cos(angle));
+        uniforms.uCurrentProfile.value = CURRENT_PROFILES[this.current.profile];
+    }
+
+    // Velocity of the water at the surface at world (x, z), in m/s
+    sampleCurrent(x, z, target = new THREE.Vector3()) {
+        const { speed, direction, profile } = this.current;
+        return surfaceCurrent(
+            { speed, direction: THREE.MathUtils.degToRad(direction), profile },
+            this.waterPlaneSize,
+            x,
+            z,
+            target
+        );
+    }
+
+    // --- Boundary Conditions ---
+    // Switch the simulation to one of BOUNDARY_MODES
+    setBoundaryMode(mode) {
+        if (!(mode in BOUNDARY_MODES)) {
+            console.warn('Unknown boundary mode:', mode);
+            return;
+        }
+        this.simulationMaterial.uniforms.uBoundaryMode.value = BOUNDARY_MODES[mode];
+    }
+
+    getBoundaryMode() {
+        const value = this.simulationMaterial.uniforms.uBoundaryMode.value;
+        return Object.keys(BOUNDARY_MODES).find((mode) => BOUNDARY_MODES[mode] === value);
+    }
+
+    // Shader parameters of an impact: the direction of travel in the
+    // simulation texture (with V scaled like U), the crater radius in V
+    // units, how far the crater stretches along the direction and how strong
+    // the rebound is
+    impactShape({ direction = null, impactAngle = Math.PI / 2, size = 0.05 }) {
+        const grazing = Math.cos(impactAngle);
+        // V runs against world Z
+        const uvDirection = direction ? new THREE.Vector2(direction.x, -direction.y) : new THREE.Vector2();
+        if (uvDirection.lengthSq() > 0) {
+            uvDirection.normalize();
+        } else {
+            uvDirection.set(1, 0);
+        }
+        return {
+            direction: uvDirection,
+            radius: (size * CRATER_SCALE) / this.waterPlaneSize.height,
+            stretch: direction ? 2 * grazing : 0,
+            rebound: Math.sin(impactAngle)
+        };
+    }
+
     // --- Simulation Update Step ---
     simulate(renderer, deltaTime) {
         // Ensure renderer is available
@@ -156,37 +490,155 @@ export default class Water extends THREE.Mesh {
         renderer.shadowMap.autoUpdate = false;
 
         // --- Simulation Pass ---
-        renderer.setRenderTarget(this.renderTarget2); // Render simulation to RT2
-        this.simulationMaterial.uniforms.tPrev.value = this.renderTarget1.texture; // Read from RT1
-        this.simulationMaterial.uniforms.uDelta.value = Math.min(deltaTime, 1 / 60) * 8.0; // Clamp delta, adjust speed multiplier
-
-        // Process one disturbance from the queue
-        if (this.disturbanceQueue.length > 0) {
-            const disturbance = this.disturbanceQueue.shift();
-            this.simulationMaterial.uniforms.uApplyDisturbance.value = true;
-            this.simulationMaterial.uniforms.uDisturbancePos.value.copy(disturbance.position);
-            // Use the disturbance intensity from the rock without overriding the global amount
-            this.simulationMaterial.uniforms.uDisturbanceIntensity.value = disturbance.amount;
-        } else {
-            this.simulationMaterial.uniforms.uApplyDisturbance.value = false;
-        }
+        // Advance the waves by the frame time, in as many steps as the
+        // fastest wave on the grid needs to stay stable (omega * step < 2,
+        // with a margin), and apply every disturbance queued since the last
+        // frame, so simultaneous impacts land together. A pass takes up to
+        // MAX_DISTURBANCES; any left after the last step go in extra passes
+        // with a zero time step, which only add their disturbances.
+        const uniforms = this.simulationMaterial.uniforms;
+        const frameTime = Math.min(deltaTime, MAX_FRAME_TIME);
+        const steps = THREE.MathUtils.clamp(Math.ceil((frameTime * this.maxWaveFrequency) / 1.5), 1, MAX_SUBSTEPS);
+        for (let step = 0; step < steps || this.disturbanceQueue.length > 0; step++) {
+            const batch = this.disturbanceQueue.splice(0, MAX_DISTURBANCES);
+            batch.forEach((disturbance, i) => {
+                // Use the disturbance intensity from the rock without overriding the global amount.
+                // A radius of 0 marks a plain round bump.
+                const shape = disturbance.shape;
+                uniforms.uDisturbances.value[i].set(
+                    disturbance.position.x,
+                    disturbance.position.y,
+                    disturbance.amount,
+                    shape ? shape.radius : 0
+                );
+                if (shape) {
+                    uniforms.uDisturbanceShapes.value[i].set(shape.direction.x, shape.direction.y, shape.stretch, shape.rebound);
+                }
+            });
+            uniforms.uDisturbanceCount.value = batch.length;
+            uniforms.uDelta.value = step < steps ? frameTime / steps : 0;
+
+            renderer.setRenderTarget(this.renderTarget2); // Render simulation to RT2
+            uniforms.tPrev.value = this.renderTarget1.texture; // Read from RT1
+            renderer.clear(); // Clear the target before rendering
+            renderer.render(this.simulationScene, this.simulationCamera);
 
-        renderer.clear(); // Clear the target before rendering
-        renderer.render(this.simulationScene, this.simulationCamera);
+            // Swap Render Targets for the next pass and frame
+            [this.renderTarget1, this.renderTarget2] = [this.renderTarget2, this.renderTarget1];
+        }
         // --- End Simulation Pass ---
 
-        // Swap Render Targets for next frame
-        [this.renderTarget1, this.renderTarget2] = [this.renderTarget2, this.renderTarget1];
+        // The wind waves run on with the ripples
+        this.windTime += deltaTime;
+        this.windUniforms.uWindTime.value = this.windTime;
 
         // Update water material to use the *newly rendered* texture
         this.material.uniforms.uHeightMap.value = this.renderTarget2.texture; // Water reads from RT2 now
 
+        // Copy the parts of the new height field the rocks asked for
+        this.readSurfaceRegions(renderer);
+
         // Restore previous renderer state
         renderer.setRenderTarget(currentRenderTarget);
         renderer.xr.enabled = currentXrEnabled;
         renderer.shadowMap.autoUpdate = currentShadowAutoUpdate;
     }
 
+    // --- Surface Readback ---
+    // Ask for the height field inside a world-space XZ rectangle to be read
+    // back on the next simulate() call. Requests only last one frame, so
+    // callers re-request the area around their objects every frame.
+    requestSurfaceRegion(minX, minZ, maxX, maxZ) {
+        this.surfaceRegionRequests.push({ minX, minZ, maxX, maxZ });
+    }
+
+    // Read the requested patches of the latest height field into CPU memory.
+    // Only the texels around the rocks are copied, which keeps the GPU stall
+    // of a synchronous readback small.
+    readSurfaceRegions(renderer) {
+        const resolution = this.simulationResolution;
+        const regions = [];
+
+        this.surfaceRegionRequests.forEach((request) => {
+            // Texel rectangle covering the request, with a one texel border
+            // for the slope and the bilinear interpolation
+            const uvMin = this.worldToUv(request.minX, request.maxZ);
+            const uvMax = this.worldToUv(request.maxX, request.minZ);
+            const x0 = Math.max(Math.floor(uvMin.x * resolution) - 2, 0);
+            const y0 = Math.max(Math.floor(uvMin.y * resolution) - 2, 0);
+            const x1 = Math.min(Math.ceil(uvMax.x * resolution) + 2, resolution);
+            const y1 = Math.min(Math.ceil(uvMax.y * resolution) + 2, resolution);
+            if (x1 <= x0 || y1 <= y0) return;
+
+            const width = x1 - x0;
+            const height = y1 - y0;
+            const data = new Float32Array(width * height * 4);
+            renderer.readRenderTargetPixels(this.renderTarget2, x0, y0, width, height, data);
+            regions.push({ x: x0, y: y0, width, height, data });
+        });
+
+        this.surfaceRegions = regions;
+        this.surfaceRegionRequests = [];
+    }
+
+    // Height and normal of the water surface at world position (x, z), as
+    // rendered: the simulated height times uHeightScale on top of the wind
+    // waves. Outside the patches read back this frame the ripples are taken
+    // to be flat and at rest.
+    sampleSurface(x, z, target = { height: 0, normal: new THREE.Vector3(0, 1, 0) }) {
+        const wind = sampleWindWaves(this.windWaves, x, z, this.windTime, this.windSample);
+        // Slopes of the wind waves, dh/dx and dh/dz
+        let slopeX = -wind.normal.x / wind.normal.y;
+        let slopeZ = -wind.normal.z / wind.normal.y;
+        target.height = this.position.y + wind.height;
+
+        const resolution = this.simulationResolution;
+        const uv = this.worldToUv(x, z);
+        // Continuous texel coordinates, texel centres at integers
+        const tx = uv.x * resolution - 0.5;
+        const ty = uv.y * resolution - 0.5;
+
+        const region = this.surfaceRegions.find(
+            (r) => tx >= r.x + 1 && tx <= r.x + r.width - 2 && ty >= r.y + 1 && ty <= r.y + r.height - 2
+        );
+
+        if (region) {
+            const scale = this.material.uniforms.uHeightScale.value;
+            target.height += this.regionHeight(region, tx, ty) * scale;
+
+            // Central differences one texel apart. V runs against world Z.
+            const texelX = this.waterPlaneSize.width / resolution;
+            const texelZ = this.waterPlaneSize.height / resolution;
+            const dx = this.regionHeight(region, tx + 1, ty) - this.regionHeight(region, tx - 1, ty);
+            const dv = this.regionHeight(region, tx, ty + 1) - this.regionHeight(region, tx, ty - 1);
+            slopeX += (dx * scale) / (2 * texelX);
+            slopeZ -= (dv * scale) / (2 * texelZ);
+        }
+
+        target.normal.set(-slopeX, 1, -slopeZ).normalize();
+        return target;
+    }
+
+    // Bilinearly interpolated simulated height inside a read back patch
+    regionHeight(region, tx, ty) {
+        const fx = Math.min(Math.max(tx - region.x, 0), region.width - 1);
+        const fy = Math.min(Math.max(ty - region.y, 0), region.height - 1);
+        const ix = Math.min(Math.floor(fx), region.width - 2);
+        const iy = Math.min(Math.floor(fy), region.height - 2);
+        const sx = fx - ix;
+        const sy = fy - iy;
+        const at = (col, row) => region.data[(row * region.width + col) * 4]; // Height is in .r
+
+        const bottom = at(ix, iy) * (1 - sx) + at(ix + 1, iy) * sx;
+        const top = at(ix, iy + 1) * (1 - sx) + at(ix + 1, iy + 1) * sx;
+        return bottom * (1 - sy) + top * sy;
+    }
+
+    // Simulation texture UV of a world XZ position
+    worldToUv(x, z, target = new THREE.Vector2()) {
+        return target.set(x / this.waterPlaneSize.width + 0.5, -z / this.waterPlaneSize.height + 0.5);
+    }
+
     // --- Caustics Rendering Step ---
     renderCaustics(renderer) {
         if (!renderer) {
@@ -218,6 +670,86 @@ export default class Water extends THREE.Mesh {
         renderer.shadowMap.autoUpdate = currentShadowAutoUpdate;
     }
 
+    // --- Resizing ---
+    // Change the simulation resolution, the size of the plane and the depth
+    // of the water below it, keeping the waves: the simulation state is
+    // resampled onto the new grid so every ripple stays where it is in the
+    // world. Ripples outside a shrunk plane are lost, and a grown plane is
+    // calm where it is new.
+    resize({ resolution = this.simulationResolution, planeSize = this.waterPlaneSize, floorDepth = this.causticsMaterial.uniforms.uWaterDepth.value }, renderer) {
+        const currentRenderTarget = renderer.getRenderTarget();
+        const currentXrEnabled = renderer.xr.enabled;
+        renderer.xr.enabled = false;
+
+        // --- Resample the Simulation State ---
+        const resampleMaterial = new THREE.ShaderMaterial({
+            vertexShader: simulationVertexShader,
+            fragmentShader: resampleFragmentShader,
+            uniforms: {
+                tSource: { value: null },
+                uScale: {
+                    value: new THREE.Vector2(
+                        planeSize.width / this.waterPlaneSize.width,
+                        planeSize.height / this.waterPlaneSize.height
+                    )
+                },
+            }
+        });
+        this.simulationQuad.material = resampleMaterial;
+
+        const [target1, target2] = [this.renderTarget1, this.renderTarget2].map((source) => {
+            const target = source.clone();
+            target.setSize(resolution, resolution);
+            resampleMaterial.uniforms.tSource.value = source.texture;
+            renderer.setRenderTarget(target);
+            renderer.render(this.simulationScene, this.simulationCamera);
+            source.dispose();
+            return target;
+        });
+        this.renderTarget1 = target1;
+        this.renderTarget2 = target2;
+
+        this.simulationQuad.material = this.simulationMaterial;
+        resampleMaterial.dispose();
+
+        renderer.setRenderTarget(currentRenderTarget);
+        renderer.xr.enabled = currentXrEnabled;
+        // --- End Resample ---
+
+        this.waterResolution = resolution;
+        this.simulationResolution = resolution;
+        this.waterPlaneSize = { width: planeSize.width, height: planeSize.height };
+        const aspectRatio = planeSize.width / planeSize.height;
+
+        const simulationUniforms = this.simulationMaterial.uniforms;
+        simulationUniforms.uResolution.value.set(resolution, resolution);
+        simulationUniforms.uAspect.value = aspectRatio;
+        simulationUniforms.uPlaneSize.value.set(planeSize.width, planeSize.height);
+        simulationUniforms.uDepth.value = -floorDepth;
+        this.updateWaveStencil();
+        this.updateObstacleMask();
+        this.material.uniforms.uHeightMap.value = this.renderTarget2.texture;
+
+        // The caustics follow the simulation resolution
+        this.causticsResolution = resolution * 2;
+        this.causticsRenderTarget.setSize(this.causticsResolution, this.causticsResolution);
+        this.causticsMaterial.uniforms.uResolution.value.set(resolution, resolution);
+        this.causticsMaterial.uniforms.uCausticsResolution.value.set(this.causticsResolution, this.causticsResolution);
+        this.causticsMaterial.uniforms.uWaterDepth.value = floorDepth;
+        this.causticsMaterial.uniforms.uPlaneSize.value.set(planeSize.width, planeSize.height);
+        this.material.uniforms.uPlaneSize.value.set(planeSize.width, planeSize.height);
+
+        // The wind waves run at the speeds of the new depth
+        this.updateWindWaves();
+
+        // --- Geometry ---
+        this.geometry.dispose();
+        this.geometry = new THREE.PlaneGeometry(planeSize.width, planeSize.height, resolution, resolution);
+
+        // Patches read back on the old grid no longer line up
+        this.surfaceRegions = [];
+    }
+
     // --- General Update (e.g., for time uniform) ---
     update(time) {
         this.material.uniforms.uTime.value = time;
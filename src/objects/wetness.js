@@ -0,0 +1,58 @@
+// Wet look for the rock material.
+// A small extension of the MeshStandardMaterial shader, driven by a wetness
+// uniform from 0 (dry) to 1 (soaked). Water fills the pores of the stone, so
+// less light scatters back out and the albedo darkens; the water film on top
+// is smooth, so the surface gets less rough and reflects the sky like a thin
+// layer of water, strongest at grazing angles.
+
+// Albedo of a soaked stone relative to a dry one
+const WET_DARKENING = 0.55;
+
+// Roughness of the water film
+const FILM_ROUGHNESS = 0.15;
+
+// Reflectance of water looking straight in
+const WATER_F0 = 0.02;
+
+const PARS = /* glsl */ `
+#include <common>
+uniform float uWetness;
+`;
+
+const ALBEDO = /* glsl */ `
+#include <map_fragment>
+diffuseColor.rgb *= mix(1.0, ${WET_DARKENING.toFixed(2)}, uWetness);
+`;
+
+const ROUGHNESS = /* glsl */ `
+#include <roughnessmap_fragment>
+roughnessFactor = mix(roughnessFactor, ${FILM_ROUGHNESS.toFixed(2)}, uWetness);
+`;
+
+const SHEEN = /* glsl */ `
+#include <lights_fragment_end>
+#ifdef USE_ENVMAP
+    // Reflection off the water film, Schlick's Fresnel for water
+    float wetFresnel = ${WATER_F0.toFixed(2)} + ${(1 - WATER_F0).toFixed(2)} * pow(1.0 - saturate(dot(normal, geometryViewDir)), 5.0);
+    reflectedLight.indirectSpecular += uWetness * wetFresnel * getIBLRadiance(geometryViewDir, normal, ${FILM_ROUGHNESS.toFixed(2)});
+#endif
+`;
+
+// Extend a MeshStandardMaterial with the wet look. Returns the wetness
+// uniform; set its value to wet or dry the material.
+export function addWetness(material) {
+    const wetness = { value: 0 };
+
+    material.onBeforeCompile = (shader) => {
+        shader.uniforms.uWetness = wetness;
+        shader.fragmentShader = shader.fragmentShader
+            .replace("#include <common>", PARS)
+            .replace("#include <map_fragment>", ALBEDO)
+            .replace("#include <roughnessmap_fragment>", ROUGHNESS)
+            .replace("#include <lights_fragment_end>", SHEEN);
+    };
+    // Every wet material compiles to the same program; only the uniform differs
+    material.customProgramCacheKey = () => "wet-rock";
+
+    return wetness;
+}
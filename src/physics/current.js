@@ -0,0 +1,37 @@
+// River current.
+// The water flows at speed m/s towards direction (radians from +z towards +x),
+// either at the same speed everywhere ("uniform") or fastest in the middle of
+// the channel and still at its banks, the pool walls either side of the flow
+// ("channel", a parabolic profile). That is the current at the surface; below
+// it the water slows towards the bed following the 1/7 power law of a
+// turbulent river, so a stone lying on the bed feels much less of it than
+// one at the surface. The simulation shader computes the same surface
+// current (simulation_fragment.glsl) to carry the ripples downstream.
+
+export const CURRENT_PROFILES = { uniform: 0, channel: 1 };
+
+// Surface current (m/s) at world (x, z) of a pool of planeSize, into target
+// ({ x, y, z }, y stays 0)
+export function surfaceCurrent({ speed, direction, profile }, planeSize, x, z, target = { x: 0, y: 0, z: 0 }) {
+    const flowX = Math.sin(direction);
+    const flowZ = Math.cos(direction);
+    let factor = 1;
+    if (profile === "channel") {
+        // Distance across the flow from the middle, against half the width
+        // of the pool in that direction
+        const across = Math.abs(x * flowZ - z * flowX);
+        const halfWidth = 0.5 * (Math.abs(flowZ) * planeSize.width + Math.abs(flowX) * planeSize.height);
+        factor = Math.max(1 - (across / halfWidth) ** 2, 0);
+    }
+    target.x = speed * factor * flowX;
+    target.y = 0;
+    target.z = speed * factor * flowZ;
+    return target;
+}
+
+// Fraction of the surface current left at heightAboveBed m over the bed, in
+// water of the given depth
+export function depthFactor(heightAboveBed, depth) {
+    if (!(depth > 0)) return 1;
+    return Math.min(Math.max(heightAboveBed / depth, 0), 1) ** (1 / 7);
+}
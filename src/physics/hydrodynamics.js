@@ -0,0 +1,117 @@
+import * as THREE from "three";
+
+// Water contact forces on a skipping stone.
+// Follows the model of Clanet, Hersen & Bocquet (Nature 427, 2004) and
+// Rosellini et al. (2005): while the stone's trailing edge is under the
+// surface, the water pushes on the immersed part of the lower face with a
+// pressure force F = 1/2 rho C U^2 S_im along the face normal, plus a skin
+// friction drag along -U. The pressure term is weighted by the angle between
+// the velocity and the face, as for a planing plate. S_im grows with immersion
+// depth and shrinks with tilt, so whether a stone skips, and how much speed it
+// loses, comes out of the tilt and attack angles instead of a fixed threshold.
+//
+// The stone is treated as a disc of the given radius and half thickness whose
+// face normal comes from its orientation. The force acts on the lower face,
+// half a thickness below the centre of mass, so the friction also produces
+// the pitching torque that makes a non-spinning stone nose-dive.
+
+export const WATER_DENSITY = 1000; // kg/m^3
+
+// Area of a circular segment of height h cut from a disc of radius r
+export function circularSegmentArea(radius, height) {
+    const h = Math.min(Math.max(height, 0), 2 * radius);
+    if (h === 0) return 0;
+    const d = radius - h;
+    return radius * radius * Math.acos(d / radius) - d * Math.sqrt(Math.max(2 * radius * h - h * h, 0));
+}
+
+// Unit horizontal direction the stone is travelling in (its leading edge).
+// Falls back to +z when the stone moves straight up or down.
+export function travelHeading(velocity, target = new THREE.Vector3()) {
+    target.set(velocity.x, 0, velocity.z);
+    if (target.lengthSq() < 1e-12) return target.set(0, 0, 1);
+    return target.normalize();
+}
+
+// Normal of whichever face of the disc is pointing down into the water,
+// flipped so it points up out of the water
+export function lowerFaceNormal(faceNormal, target = new THREE.Vector3()) {
+    target.copy(faceNormal);
+    return target.y < 0 ? target.negate() : target;
+}
+
+// Sine of the tilt between the disc face and the horizontal
+export function tiltSine(faceNormal) {
+    return Math.sqrt(Math.max(1 - faceNormal.y * faceNormal.y, 0));
+}
+
+// Half the vertical extent of a disc of the given radius and half thickness:
+// its lowest point (the trailing edge of the lower face) sits this far below
+// the centre, and its highest point this far above it
+export function stoneHalfHeight(radius, halfThickness, faceNormal) {
+    return radius * tiltSine(faceNormal) + halfThickness * Math.abs(faceNormal.y);
+}
+
+// Depth below the surface at which the wetted chord spans the whole lower
+// face and water starts flooding over the top (Clanet's dive criterion)
+export function floodDepth(radius, faceNormal) {
+    return 2 * radius * tiltSine(faceNormal);
+}
+
+// Length of the lower face that is under water for a stone whose lowest
+// point is `depth` metres under the surface. The wetted chord runs along the
+// face, so it is the depth divided by sin(tilt).
+export function wettedChord(radius, faceNormal, depth) {
+    if (depth <= 0) return 0;
+    return Math.min(depth / Math.max(tiltSine(faceNormal), 1e-3), 2 * radius);
+}
+
+// Hydrodynamic force on the stone during water contact.
+// velocity is the stone velocity relative to the water and faceNormal the
+// world-space normal of the stone's body +y face.
+// Returns the force in newtons, the torque about the centre of mass and the
+// immersed area it acted on.
+export function contactForce({
+    velocity,
+    faceNormal,
+    radius,
+    halfThickness,
+    depth,
+    liftCoefficient,
+    frictionCoefficient,
+}) {
+    const force = new THREE.Vector3();
+    const torque = new THREE.Vector3();
+    const chord = wettedChord(radius, faceNormal, depth);
+    const area = circularSegmentArea(radius, chord);
+    if (area === 0) return { force, torque, area };
+
+    const speedSq = velocity.lengthSq();
+    const normal = lowerFaceNormal(faceNormal);
+
+    // Pressure only builds on the lower face while the stone is driving into
+    // it. The pressure scales with sin(alpha + beta), the angle between the
+    // velocity and the face, as for a planing flat plate.
+    const normalSpeed = -velocity.dot(normal);
+    if (normalSpeed > 0) {
+        const sinIncidence = normalSpeed / Math.sqrt(speedSq);
+        force.addScaledVector(normal, 0.5 * WATER_DENSITY * liftCoefficient * speedSq * sinIncidence * area);
+    }
+
+    // Skin friction opposes the motion
+    if (speedSq > 0) {
+        force.addScaledVector(velocity, -0.5 * WATER_DENSITY * frictionCoefficient * Math.sqrt(speedSq) * area);
+    }
+
+    // The force acts at the centre of the lower face, as in the point-stone
+    // models above. Putting it at the spray root near the trailing edge
+    // instead pitches the stone at touch-down with more angular momentum than
+    // a 10 rev/s spin carries, so it would flip on its first bounce. Friction
+    // still pulls back on the face half a thickness below the centre of mass
+    // and tips the nose down: a spinning stone precesses slowly under that, a
+    // stone thrown without spin pitches over and digs in.
+    const centreOfPressure = normal.clone().multiplyScalar(-halfThickness);
+    torque.crossVectors(centreOfPressure, force);
+
+    return { force, torque, area };
+}
@@ -0,0 +1,181 @@
+import * as THREE from "three";
+
+// Mass properties of a closed triangle mesh of uniform density.
+// The mesh is cut into tetrahedra from the origin to every triangle; their
+// signed volumes, centroids and second moments add up to those of the solid
+// (the parts outside cancel), so this works for any closed, consistently
+// wound mesh, convex or not. The stone's body frame is the mesh frame: the
+// face normal is +y, so the projected areas along y and across it are the
+// face the water pushes on and the edge it cuts through.
+
+// Mass properties of a mesh given as a flat position array (x, y, z per
+// vertex) and an optional index array of triangles. Returns the volume,
+// mass, centre of mass, principal moments of inertia about the centre of mass
+// along the body axes, the projected area of the face (seen along y) and of
+// the edge (seen across y, averaged over x and z), and the largest extents of
+// the mesh from the centre of mass in the plane and along y. The full inertia
+// tensor about the centre of mass is returned as well, for finding the
+// principal axes of a mesh that was not built along them.
+export function meshMassProperties(positions, index, density) {
+    const triangleCount = index ? index.length / 3 : positions.length / 9;
+    const vertex = (triangle, corner, target) => {
+        const i = index ? index[triangle * 3 + corner] : triangle * 3 + corner;
+        return target.fromArray(positions, i * 3);
+    };
+
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    const cross = new THREE.Vector3();
+    const sum = new THREE.Vector3();
+
+    let volume = 0;
+    const firstMoment = new THREE.Vector3();
+    // Integrals of x^2, y^2, z^2, xy, yz, zx over the solid
+    const second = { xx: 0, yy: 0, zz: 0, xy: 0, yz: 0, zx: 0 };
+    let faceArea = 0;
+    let edgeAreaX = 0;
+    let edgeAreaZ = 0;
+
+    for (let t = 0; t < triangleCount; t++) {
+        vertex(t, 0, a);
+        vertex(t, 1, b);
+        vertex(t, 2, c);
+
+        // Tetrahedron (0, a, b, c)
+        const v = a.dot(cross.crossVectors(b, c)) / 6;
+        volume += v;
+        sum.copy(a).add(b).add(c);
+        firstMoment.addScaledVector(sum, v / 4);
+
+        // Integral of p p^T over a tetrahedron with one corner at the origin:
+        // v / 20 * (sum of p_i p_i^T + (sum p_i)(sum p_i)^T)
+        const k = v / 20;
+        second.xx += k * (a.x * a.x + b.x * b.x + c.x * c.x + sum.x * sum.x);
+        second.yy += k * (a.y * a.y + b.y * b.y + c.y * c.y + sum.y * sum.y);
+        second.zz += k * (a.z * a.z + b.z * b.z + c.z * c.z + sum.z * sum.z);
+        second.xy += k * (a.x * a.y + b.x * b.y + c.x * c.y + sum.x * sum.y);
+        second.yz += k * (a.y * a.z + b.y * b.z + c.y * c.z + sum.y * sum.z);
+        second.zx += k * (a.z * a.x + b.z * b.x + c.z * c.x + sum.z * sum.x);
+
+        // Every line of sight through a closed mesh crosses it twice, so the
+        // projected area is half the summed projections of its triangles
+        cross.crossVectors(b.clone().sub(a), c.clone().sub(a));
+        faceArea += Math.abs(cross.y) / 4;
+        edgeAreaX += Math.abs(cross.x) / 4;
+        edgeAreaZ += Math.abs(cross.z) / 4;
+    }
+
+    const centerOfMass = firstMoment.divideScalar(volume);
+
+    // Second moments about the centre of mass (parallel axis theorem)
+    const xx = second.xx - volume * centerOfMass.x * centerOfMass.x;
+    const yy = second.yy - volume * centerOfMass.y * centerOfMass.y;
+    const zz = second.zz - volume * centerOfMass.z * centerOfMass.z;
+    const xy = second.xy - volume * centerOfMass.x * centerOfMass.y;
+    const yz = second.yz - volume * centerOfMass.y * centerOfMass.z;
+    const zx = second.zx - volume * centerOfMass.z * centerOfMass.x;
+
+    // Diagonal of the inertia tensor. The products of inertia of a stone
+    // built along its axes are small, so the body axes are taken as its
+    // principal axes.
+    const inertia = new THREE.Vector3(yy + zz, xx + zz, xx + yy).multiplyScalar(density);
+    const inertiaTensor = new THREE.Matrix3()
+        .set(yy + zz, -xy, -zx, -xy, xx + zz, -yz, -zx, -yz, xx + yy)
+        .multiplyScalar(density);
+
+    let planeExtent = 0;
+    let heightExtent = 0;
+    for (let i = 0; i < positions.length; i += 3) {
+        a.fromArray(positions, i).sub(centerOfMass);
+        planeExtent = Math.max(planeExtent, Math.hypot(a.x, a.z));
+        heightExtent = Math.max(heightExtent, Math.abs(a.y));
+    }
+
+    return {
+        volume,
+        mass: volume * density,
+        centerOfMass,
+        inertia,
+        inertiaTensor,
+        faceArea,
+        edgeArea: (edgeAreaX + edgeAreaZ) / 2,
+        planeExtent,
+        heightExtent,
+    };
+}
+
+// Principal axes of a symmetric inertia tensor, by Jacobi rotations.
+// Returns the principal moments and the unit axis of each, in matching order.
+export function principalAxes(tensor) {
+    const a = [0, 1, 2].map((row) => [0, 1, 2].map((column) => tensor.elements[column * 3 + row]));
+    const v = [
+        [1, 0, 0],
+        [0, 1, 0],
+        [0, 0, 1],
+    ];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        const offDiagonal = Math.abs(a[0][1]) + Math.abs(a[0][2]) + Math.abs(a[1][2]);
+        if (offDiagonal < 1e-15 * (Math.abs(a[0][0]) + Math.abs(a[1][1]) + Math.abs(a[2][2]))) break;
+
+        for (const [p, q] of [
+            [0, 1],
+            [0, 2],
+            [1, 2],
+        ]) {
+            if (a[p][q] === 0) continue;
+            // Rotation in the p-q plane that zeroes a[p][q]
+            const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+            const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1);
+            const s = t * c;
+            for (let k = 0; k < 3; k++) {
+                const akp = a[k][p];
+                const akq = a[k][q];
+                a[k][p] = c * akp - s * akq;
+                a[k][q] = s * akp + c * akq;
+            }
+            for (let k = 0; k < 3; k++) {
+                const apk = a[p][k];
+                const aqk = a[q][k];
+                a[p][k] = c * apk - s * aqk;
+                a[q][k] = s * apk + c * aqk;
+            }
+            for (let k = 0; k < 3; k++) {
+                const vkp = v[k][p];
+                const vkq = v[k][q];
+                v[k][p] = c * vkp - s * vkq;
+                v[k][q] = s * vkp + c * vkq;
+            }
+        }
+    }
+
+    return [0, 1, 2].map((i) => ({
+        moment: a[i][i],
+        axis: new THREE.Vector3(v[0][i], v[1][i], v[2][i]).normalize(),
+    }));
+}
+
+// Mass properties of a THREE.BufferGeometry
+export function geometryMassProperties(geometry, density) {
+    const index = geometry.index ? geometry.index.array : null;
+    return meshMassProperties(geometry.attributes.position.array, index, density);
+}
+
+// Rock physics parameters for a stone with the given mass properties.
+// The physics treats the stone as a spheroid: its radius is that of the disc
+// with the same face area, so the lift and drag on the face come out right,
+// and its half thickness is how far the stone reaches along its normal, so
+// it lies on the floor at the right height. Mass, inertia and the edge-on
+// cross-section are taken as measured.
+export function stonePhysicsParams(properties) {
+    const radius = Math.sqrt(properties.faceArea / Math.PI);
+    return {
+        radius,
+        thicknessRatio: properties.heightExtent / radius,
+        mass: properties.mass,
+        inertia: properties.inertia.clone(),
+        edgeArea: properties.edgeArea,
+    };
+}
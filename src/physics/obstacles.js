@@ -0,0 +1,149 @@
+// Obstacles in the pool.
+// Fixed obstacles stand on the floor and stick out of the water: boulders and
+// posts. They are walls to the ripples (see Water.setObstacles) and to the
+// rocks. Floating obstacles ride the surface: buoys and lily pads bob on the
+// waves, drift down the slope of the ones passing under them and get pushed
+// around by the rocks that hit them. The ripples reflect off them too,
+// wherever they have drifted to. Every obstacle is a vertical cylinder
+// to the physics, which is close enough for posts and buoys and keeps the
+// contacts simple.
+
+// Kinds of obstacle, with their size in m. Fixed ones reach height above the
+// water, floating ones sit draft deep and stick out freeboard.
+export const OBSTACLE_TYPES = {
+    boulder: { label: "Boulder", floating: false, radius: 0.3, height: 0.2 },
+    post: { label: "Post", floating: false, radius: 0.08, height: 0.8 },
+    buoy: { label: "Buoy", floating: true, radius: 0.12, draft: 0.1, freeboard: 0.14, mass: 1.5 },
+    lilyPad: { label: "Lily Pad", floating: true, radius: 0.18, draft: 0.004, freeboard: 0.006, mass: 0.04 },
+};
+
+const GRAVITY = 9.81; // m/s^2
+
+// Floating obstacles
+const WATER_DRAG = 1.5; // Rate (1/s) at which the water stops a drifting float
+const WALL_RESTITUTION = 0.3; // Bounce of a float off a wall or a fixed obstacle
+
+let nextId = 1;
+
+// A new obstacle of the given type at world (x, z). Floating ones carry their
+// height and drift velocity along.
+export function createObstacle(type, x, z) {
+    const kind = OBSTACLE_TYPES[type];
+    if (!kind) throw new Error(`Unknown obstacle type: ${type}`);
+
+    return {
+        id: nextId++,
+        type,
+        floating: kind.floating,
+        radius: kind.radius,
+        x,
+        z,
+        y: 0, // Height of the water line on a float
+        velocity: { x: 0, z: 0 }, // Drift of a float, m/s
+        normal: { x: 0, y: 1, z: 0 }, // Tilt of a float, the water's normal under it
+    };
+}
+
+// What is saved of an obstacle, and the obstacle back from it
+export function serializeObstacle(obstacle) {
+    return { type: obstacle.type, x: obstacle.x, z: obstacle.z };
+}
+
+export function deserializeObstacle(data) {
+    if (!data || !OBSTACLE_TYPES[data.type] || !Number.isFinite(data.x) || !Number.isFinite(data.z)) return null;
+    return createObstacle(data.type, data.x, data.z);
+}
+
+// Bottom and top (m) of an obstacle's cylinder in a pool with its floor at
+// floorDepth
+export function obstacleExtent(obstacle, floorDepth) {
+    const kind = OBSTACLE_TYPES[obstacle.type];
+    if (obstacle.floating) {
+        return { bottom: obstacle.y - kind.draft, top: obstacle.y + kind.freeboard };
+    }
+    return { bottom: floorDepth, top: kind.height };
+}
+
+// The cylinder the rocks collide with: { id, floating, x, z, radius, bottom,
+// top, mass, velocity }. A float's mass and drift velocity make it give way
+// to the stones that hit it; fixed obstacles have an infinite mass.
+export function obstacleCollider(obstacle, floorDepth, target = {}) {
+    const { bottom, top } = obstacleExtent(obstacle, floorDepth);
+    target.id = obstacle.id;
+    target.floating = obstacle.floating;
+    target.x = obstacle.x;
+    target.z = obstacle.z;
+    target.radius = obstacle.radius;
+    target.bottom = bottom;
+    target.top = top;
+    target.mass = obstacle.floating ? OBSTACLE_TYPES[obstacle.type].mass : Infinity;
+    target.velocity = target.velocity || { x: 0, z: 0 };
+    target.velocity.x = obstacle.velocity.x;
+    target.velocity.z = obstacle.velocity.z;
+    return target;
+}
+
+// Move a floating obstacle by one frame on the water surface sampled under
+// it ({ height, normal }). It sits at the surface height, tilted with it, and
+// slides down the slope of the waves like the water around it, while the
+// water's drag pulls it along with the current ({ x, z } in m/s, if any).
+// The pool walls and the fixed obstacles stop it.
+export function driftFloater(obstacle, surface, dt, { waterPlaneSize, obstacles = [], current = null }) {
+    obstacle.y = surface.height;
+    obstacle.normal.x = surface.normal.x;
+    obstacle.normal.y = surface.normal.y;
+    obstacle.normal.z = surface.normal.z;
+
+    // Pressure of the passing wave, -g times its slope
+    const slopeX = -surface.normal.x / surface.normal.y;
+    const slopeZ = -surface.normal.z / surface.normal.y;
+    const damping = Math.exp(-WATER_DRAG * dt);
+    const flowX = current ? current.x : 0;
+    const flowZ = current ? current.z : 0;
+    obstacle.velocity.x = flowX + (obstacle.velocity.x - flowX - GRAVITY * slopeX * dt) * damping;
+    obstacle.velocity.z = flowZ + (obstacle.velocity.z - flowZ - GRAVITY * slopeZ * dt) * damping;
+    obstacle.x += obstacle.velocity.x * dt;
+    obstacle.z += obstacle.velocity.z * dt;
+
+    // Pool walls
+    const limitX = waterPlaneSize.width / 2 - obstacle.radius;
+    const limitZ = waterPlaneSize.height / 2 - obstacle.radius;
+    if (Math.abs(obstacle.x) > limitX) {
+        obstacle.x = Math.sign(obstacle.x) * Math.max(limitX, 0);
+        obstacle.velocity.x *= -WALL_RESTITUTION;
+    }
+    if (Math.abs(obstacle.z) > limitZ) {
+        obstacle.z = Math.sign(obstacle.z) * Math.max(limitZ, 0);
+        obstacle.velocity.z *= -WALL_RESTITUTION;
+    }
+
+    // Fixed obstacles: push the float out and bounce its drift off them
+    obstacles.forEach((other) => {
+        if (other === obstacle || other.floating) return;
+
+        const dx = obstacle.x - other.x;
+        const dz = obstacle.z - other.z;
+        const distance = Math.hypot(dx, dz);
+        const reach = obstacle.radius + other.radius;
+        if (distance >= reach || distance === 0) return;
+
+        const nx = dx / distance;
+        const nz = dz / distance;
+        obstacle.x = other.x + nx * reach;
+        obstacle.z = other.z + nz * reach;
+        const approach = obstacle.velocity.x * nx + obstacle.velocity.z * nz;
+        if (approach < 0) {
+            obstacle.velocity.x -= (1 + WALL_RESTITUTION) * approach * nx;
+            obstacle.velocity.z -= (1 + WALL_RESTITUTION) * approach * nz;
+        }
+    });
+}
+
+// Knock a floating obstacle with an impulse (N s, world Vector3-like); only
+// its horizontal part moves it. Fixed obstacles do not move.
+export function pushObstacle(obstacle, impulse) {
+    if (!obstacle.floating) return;
+    const mass = OBSTACLE_TYPES[obstacle.type].mass;
+    obstacle.velocity.x += impulse.x / mass;
+    obstacle.velocity.z += impulse.z / mass;
+}
@@ -0,0 +1,188 @@
+import * as THREE from "three";
+import { applyImpulse, impulseResponse, rockInertia, spheroidSupport } from "./rigidBody.js";
+
+// Contact between a stone and the pool it is thrown into.
+// The pool is the floor at floorDepth and four walls at the edges of
+// waterPlaneSize that rise up to rimHeight, as drawn by Ground. Each is a
+// plane; the stone touches it with the support point of its spheroid, and
+// the response is an impulse there with restitution along the plane normal
+// and Coulomb friction across it. Because the impulse acts at the lowest
+// point rather than the centre, a tilted stone on the floor is rocked back
+// onto its face and a rolling one slows down, until it settles.
+// Obstacles in the pool (p.obstacles, see obstacles.js) are vertical
+// cylinders; the stone meets the plane tangent to the side or the top one
+// it runs into. A float is not a wall: it has its own mass and drift, and
+// moves across the water, so the impulses between it and the stone conserve
+// momentum. The float's collider takes up its share of the impulse at once,
+// so the two part within the frame; the caller pushes the float itself from
+// the bounce events (see pushObstacle).
+
+// Below this approach speed a contact does not bounce, so resting stones stay
+// put instead of jittering
+const RESTING_SPEED = 0.1; // m/s
+
+// The planes of the pool as { normal, offset, surface }: a point x is inside
+// when normal . x >= offset. Normals point into the pool.
+export function poolPlanes(p) {
+    const halfWidth = p.waterPlaneSize.width / 2;
+    const halfHeight = p.waterPlaneSize.height / 2;
+    return [
+        { normal: new THREE.Vector3(0, 1, 0), offset: p.floorDepth, surface: "floor" },
+        { normal: new THREE.Vector3(-1, 0, 0), offset: -halfWidth, surface: "wall" },
+        { normal: new THREE.Vector3(1, 0, 0), offset: -halfWidth, surface: "wall" },
+        { normal: new THREE.Vector3(0, 0, -1), offset: -halfHeight, surface: "wall" },
+        { normal: new THREE.Vector3(0, 0, 1), offset: -halfHeight, surface: "wall" },
+    ];
+}
+
+// Is the position above the pool, inside its walls?
+export function isOverPool(position, p) {
+    return (
+        Math.abs(position.x) <= p.waterPlaneSize.width / 2 && Math.abs(position.z) <= p.waterPlaneSize.height / 2
+    );
+}
+
+// Resolve the stone's contacts with the floor and walls in place.
+// Returns whether it is touching the floor, and pushes a bounce event for
+// every contact that hit hard enough to bounce.
+export function collideWithPool(state, p, dt, events) {
+    let onFloor = false;
+    // Only stones that are still inside the pool meet its walls, and only
+    // while they reach below the rim; higher up they can fly out
+    const insideWalls = isOverPool(state.position, p) && state.position.y - p.radius < p.rimHeight;
+
+    poolPlanes(p).forEach((plane) => {
+        if (plane.surface === "wall" && !insideWalls) return;
+
+        const bounce = resolvePlaneContact(state, p, plane);
+        if (bounce === null) return;
+        if (plane.surface === "floor") onFloor = true;
+
+        if (bounce > RESTING_SPEED) {
+            events.push({
+                type: "bounce",
+                surface: plane.surface,
+                time: state.time,
+                position: state.position.clone(),
+                impactVelocity: bounce,
+            });
+        }
+    });
+
+    // Boulders, posts and floats
+    (p.obstacles || []).forEach((obstacle) => {
+        const plane = obstaclePlane(state, p, obstacle);
+        if (!plane) return;
+
+        const impulse = new THREE.Vector3();
+        const bounce = resolvePlaneContact(state, p, plane, impulse, obstacle.floating ? obstacle : null);
+        if (bounce === null) return;
+        if (plane.normal.y > 0 && !obstacle.floating) onFloor = true; // Lying on top of a boulder
+
+        // Every push on a float is reported, so it moves as its collider did
+        if (bounce > RESTING_SPEED || (obstacle.floating && bounce > 0)) {
+            events.push({
+                type: "bounce",
+                surface: "obstacle",
+                obstacle: obstacle.id,
+                time: state.time,
+                position: state.position.clone(),
+                impactVelocity: bounce,
+                impulse, // On the stone; the obstacle gets the opposite
+            });
+        }
+    });
+
+    // Rolling resistance: neither the stone nor the bed is perfectly hard, so
+    // a stone rocking or rolling on the floor loses its spin
+    if (onFloor) {
+        state.angularVelocity.multiplyScalar(Math.exp(-p.rollingResistance * dt));
+    }
+
+    return onFloor;
+}
+
+// The plane of an obstacle's cylinder the stone is up against: its top when
+// the stone is above it, otherwise the side facing the stone. Null when the
+// stone is nowhere near, or past the top edge.
+function obstaclePlane(state, p, obstacle) {
+    const dx = state.position.x - obstacle.x;
+    const dz = state.position.z - obstacle.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance > obstacle.radius + p.radius) return null;
+    if (state.position.y - p.radius > obstacle.top || state.position.y + p.radius < obstacle.bottom) return null;
+
+    if (state.position.y > obstacle.top && distance < obstacle.radius) {
+        return { normal: new THREE.Vector3(0, 1, 0), offset: obstacle.top, surface: "obstacle" };
+    }
+    if (distance === 0) return null;
+
+    const normal = new THREE.Vector3(dx / distance, 0, dz / distance);
+    // Only the side up to the top edge
+    const support = spheroidSupport(state.orientation, p.radius, p.thicknessRatio, normal.clone().negate());
+    if (state.position.y + support.y > obstacle.top) return null;
+    return {
+        normal,
+        offset: normal.x * obstacle.x + normal.z * obstacle.z + obstacle.radius,
+        surface: "obstacle",
+    };
+}
+
+// Change in a float's velocity along a unit direction per unit impulse. It
+// only moves across the water; the water holds it up.
+function floatResponse(float, direction) {
+    if (!float) return 0;
+    return (direction.x * direction.x + direction.z * direction.z) / float.mass;
+}
+
+// Push the stone out of one plane and apply the contact impulse, copied into
+// impulseTarget if one is given. Against a float the contact is worked out
+// relative to the float's drift, with its mass, and the float's collider
+// takes the opposite impulse.
+// Returns the speed the contact point was approaching the plane with (0 if
+// it was already moving away), or null if the stone does not touch it.
+function resolvePlaneContact(state, p, plane, impulseTarget = null, float = null) {
+    const { normal } = plane;
+    const offset = spheroidSupport(state.orientation, p.radius, p.thicknessRatio, normal.clone().negate());
+    const penetration = plane.offset - normal.dot(state.position) - normal.dot(offset);
+    if (penetration < 0) return null;
+
+    state.position.addScaledVector(normal, penetration);
+
+    // Velocity of the contact point along the normal, relative to the float
+    const pointVelocity = new THREE.Vector3().crossVectors(state.angularVelocity, offset).add(state.velocity);
+    if (float) {
+        pointVelocity.x -= float.velocity.x;
+        pointVelocity.z -= float.velocity.z;
+    }
+    const approachSpeed = -pointVelocity.dot(normal);
+    if (approachSpeed <= 0) return 0;
+
+    const inertia = rockInertia(p);
+    // Obstacles bounce like the walls
+    const restitution =
+        approachSpeed > RESTING_SPEED ? (plane.surface === "floor" ? p.floorRestitution : p.wallRestitution) : 0;
+    const normalImpulse =
+        ((1 + restitution) * approachSpeed) /
+        (impulseResponse(state.orientation, p.mass, inertia, offset, normal) + floatResponse(float, normal));
+    const impulse = normal.clone().multiplyScalar(normalImpulse);
+
+    // Friction against the contact point sliding along the plane
+    const tangent = pointVelocity.addScaledVector(normal, approachSpeed);
+    const slidingSpeed = tangent.length();
+    if (slidingSpeed > 1e-9) {
+        tangent.divideScalar(slidingSpeed);
+        const response =
+            impulseResponse(state.orientation, p.mass, inertia, offset, tangent) + floatResponse(float, tangent);
+        const frictionImpulse = Math.min(slidingSpeed / response, p.floorFriction * normalImpulse);
+        impulse.addScaledVector(tangent, -frictionImpulse);
+    }
+
+    applyImpulse(state.velocity, state.angularVelocity, state.orientation, p.mass, inertia, impulse, offset);
+    if (float) {
+        float.velocity.x -= impulse.x / float.mass;
+        float.velocity.z -= impulse.z / float.mass;
+    }
+    if (impulseTarget) impulseTarget.copy(impulse);
+    return approachSpeed;
+}
@@ -0,0 +1,36 @@
+// Seeded pseudo random numbers for the physics and procedural code.
+// Everything that has to replay identically (throws, stone shapes) draws from
+// here instead of Math.random so the same seed always gives the same result.
+
+// Turn any number or string into a 32-bit unsigned seed
+export function hashSeed(value) {
+    const text = String(value);
+    let hash = 2166136261; // FNV-1a offset basis
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// One step of mulberry32: returns a float in [0, 1) and the next seed.
+// Taking the seed as a plain integer lets physics states carry their RNG
+// position around and be cloned without sharing a generator.
+export function nextRandom(seed) {
+    const nextSeed = (seed + 0x6d2b79f5) >>> 0;
+    let t = nextSeed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    return { value, seed: nextSeed };
+}
+
+// Stateful generator for code that just wants a Math.random replacement
+export function createRandom(seed) {
+    let current = hashSeed(seed);
+    return () => {
+        const result = nextRandom(current);
+        current = result.seed;
+        return result.value;
+    };
+}
@@ -0,0 +1,123 @@
+import * as THREE from "three";
+
+// Rigid-body rotation for the stone.
+// The stone is an oblate spheroid in its own frame: semi-axes R along x and z,
+// and R * thicknessRatio along y (the face normal). Orientation is a
+// quaternion and the angular velocity is kept in world space for the caller.
+// The rotation follows the full inertia tensor, so a spinning stone precesses
+// under a torque instead of simply tipping over.
+
+const BODY_UP = new THREE.Vector3(0, 1, 0);
+
+// Principal moments of inertia (body frame) of a solid spheroid
+export function spheroidInertia(mass, radius, thicknessRatio) {
+    const a = radius; // In-plane semi-axis
+    const c = radius * thicknessRatio; // Semi-axis along the face normal
+    const tumble = (mass * (a * a + c * c)) / 5; // About an in-plane axis
+    const spin = (2 * mass * a * a) / 5; // About the face normal
+    return new THREE.Vector3(tumble, spin, tumble);
+}
+
+// Principal moments of inertia of a stone with the given rock params: the
+// ones measured from its mesh if it has them, otherwise the solid spheroid's
+export function rockInertia(p) {
+    return p.inertia ? p.inertia.clone() : spheroidInertia(p.mass, p.radius, p.thicknessRatio);
+}
+
+// World-space face normal (body +y) of an orientation
+export function bodyUp(orientation, target = new THREE.Vector3()) {
+    return target.copy(BODY_UP).applyQuaternion(orientation);
+}
+
+// Orientation of a stone pitched nose-up by `tilt` radians along the
+// horizontal `heading` direction
+export function tiltedOrientation(heading, tilt, target = new THREE.Quaternion()) {
+    const axis = new THREE.Vector3().crossVectors(heading, BODY_UP);
+    if (axis.lengthSq() < 1e-12) return target.identity();
+    return target.setFromAxisAngle(axis.normalize(), tilt);
+}
+
+// Angular velocity of a body with the given angular momentum:
+// w = R I^-1 R^T L, with R the orientation
+function angularVelocityFromMomentum(momentum, orientation, inertia, target) {
+    const inverse = orientation.clone().invert();
+    return target.copy(momentum).applyQuaternion(inverse).divide(inertia).applyQuaternion(orientation);
+}
+
+// Advance orientation and angular velocity by dt under a world-space torque.
+// Angular momentum L = R I R^T w is what the torque changes (dL/dt = tau);
+// the angular velocity is recovered from it after every rotation. Working
+// with L keeps a torque-free spinning stone's momentum exactly constant. The
+// orientation itself is stepped with RK4: a single Euler rotation per step
+// lets the face normal creep away from L, and at a few revolutions per second
+// that nutation grows until the stone flips over in mid-air.
+export function advanceRotation(angularVelocity, orientation, inertia, torque, dt) {
+    const inverse = orientation.clone().invert();
+    const momentum = angularVelocity.clone().applyQuaternion(inverse).multiply(inertia).applyQuaternion(orientation);
+    if (torque) {
+        momentum.addScaledVector(torque, dt);
+    }
+
+    const k1 = angularVelocityFromMomentum(momentum, orientation, inertia, new THREE.Vector3());
+    const k2 = angularVelocityAfter(momentum, orientation, inertia, k1, dt / 2);
+    const k3 = angularVelocityAfter(momentum, orientation, inertia, k2, dt / 2);
+    const k4 = angularVelocityAfter(momentum, orientation, inertia, k3, dt);
+    const average = k1.add(k2.multiplyScalar(2)).add(k3.multiplyScalar(2)).add(k4).multiplyScalar(1 / 6);
+    integrateOrientation(orientation, average, dt);
+    angularVelocityFromMomentum(momentum, orientation, inertia, angularVelocity);
+}
+
+// Angular velocity the body would have after turning at `rate` for dt
+function angularVelocityAfter(momentum, orientation, inertia, rate, dt) {
+    const turned = orientation.clone();
+    integrateOrientation(turned, rate, dt);
+    return angularVelocityFromMomentum(momentum, turned, inertia, new THREE.Vector3());
+}
+
+// Rotate the orientation by the world-space angular velocity over dt
+export function integrateOrientation(orientation, angularVelocity, dt) {
+    const angle = angularVelocity.length() * dt;
+    if (angle < 1e-12) return;
+    const axis = angularVelocity.clone().normalize();
+    const delta = new THREE.Quaternion().setFromAxisAngle(axis, angle);
+    orientation.premultiply(delta).normalize();
+}
+
+// Distance from the centre of the spheroid to its surface along a unit
+// world-space direction
+export function spheroidRadius(orientation, radius, thicknessRatio, direction) {
+    const cosine = direction.dot(bodyUp(orientation));
+    const sineSq = Math.max(1 - cosine * cosine, 0);
+    const thickness = radius * thicknessRatio;
+    return 1 / Math.sqrt(sineSq / (radius * radius) + (cosine * cosine) / (thickness * thickness));
+}
+
+// Apply an impulse J at a world-space offset r from the centre of mass: the
+// velocity changes by J / m and the angular momentum by r x J
+export function applyImpulse(velocity, angularVelocity, orientation, mass, inertia, impulse, offset) {
+    velocity.addScaledVector(impulse, 1 / mass);
+    const momentumChange = new THREE.Vector3().crossVectors(offset, impulse);
+    angularVelocity.add(angularVelocityFromMomentum(momentumChange, orientation, inertia, new THREE.Vector3()));
+}
+
+// Change in the velocity of the point at offset r, along a unit direction,
+// per unit impulse applied there in that direction (the inverse effective
+// mass of the contact)
+export function impulseResponse(orientation, mass, inertia, offset, direction) {
+    const momentumChange = new THREE.Vector3().crossVectors(offset, direction);
+    const spinChange = angularVelocityFromMomentum(momentumChange, orientation, inertia, new THREE.Vector3());
+    return 1 / mass + direction.dot(spinChange.cross(offset));
+}
+
+// Offset from the centre of the spheroid to its furthest point along a unit
+// world-space direction (the support point). Its projection on the direction
+// is how far the stone reaches that way.
+export function spheroidSupport(orientation, radius, thicknessRatio, direction, target = new THREE.Vector3()) {
+    const inverse = orientation.clone().invert();
+    const local = direction.clone().applyQuaternion(inverse);
+    // Semi-axes squared along body x, y and z
+    const axes = new THREE.Vector3(radius * radius, (radius * thicknessRatio) ** 2, radius * radius);
+    const scaled = local.multiply(axes);
+    const extent = Math.sqrt(Math.max(scaled.dot(direction.clone().applyQuaternion(inverse)), 1e-18));
+    return target.copy(scaled).divideScalar(extent).applyQuaternion(orientation);
+}
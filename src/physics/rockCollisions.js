@@ -0,0 +1,140 @@
+import * as THREE from "three";
+import { cloneRockState, impactIntensity, resolveRockParams, stepRock } from "./rockPhysics.js";
+import { applyImpulse, impulseResponse, rockInertia, spheroidRadius } from "./rigidBody.js";
+
+// Collisions between rocks.
+// Each stone is treated as its spheroid: two stones touch when the distance
+// between their centres is less than the sum of their radii along the line
+// joining them. The response is an impulse at the contact point, with
+// restitution along that line and Coulomb friction across it, so a glancing
+// hit also sets the stones spinning. A stone lying still on the bed is woken
+// up when something knocks into it.
+
+// Advance a group of rocks together. They share one accumulator, so every
+// rock takes the same fixed substeps and collisions are resolved after each
+// of them; stepping the rocks one frame at a time would let fast stones pass
+// through each other. Inactive rocks are not stepped but can still be hit.
+// Returns the new states, the events of each rock, the collision events and
+// the frame time left in the accumulator.
+export function advanceRocks(states, paramsList, deltaTime, env = {}, accumulator = 0) {
+    const params = paramsList.map((p) => resolveRockParams(p));
+    let current = states.map((state) => cloneRockState(state));
+    const events = states.map(() => []);
+    const collisions = [];
+    if (current.length === 0) return { states: current, events, collisions, accumulator: 0 };
+
+    const { fixedTimeStep, maxFrameDelta } = params[0];
+    let remaining = accumulator + Math.min(Math.max(deltaTime, 0), maxFrameDelta);
+
+    while (remaining >= fixedTimeStep && current.some((state) => state.isActive)) {
+        current = current.map((state, i) => {
+            const result = stepRock(state, params[i], fixedTimeStep, env);
+            events[i].push(...result.events);
+            return result.state;
+        });
+        collisions.push(...collideRocks(current, params));
+        remaining -= fixedTimeStep;
+    }
+
+    if (!current.some((state) => state.isActive)) {
+        remaining = 0;
+    }
+
+    return { states: current, events, collisions, accumulator: remaining };
+}
+
+// Resolve every touching pair of rocks in place.
+// Returns a collision event for each pair that was moving together.
+export function collideRocks(states, paramsList) {
+    const events = [];
+    for (let i = 0; i < states.length; i++) {
+        for (let j = i + 1; j < states.length; j++) {
+            // Two stones at rest stay where they are
+            if (!states[i].isActive && !states[j].isActive) continue;
+
+            const event = collideRockPair(states[i], paramsList[i], states[j], paramsList[j]);
+            if (event) {
+                event.rocks = [i, j];
+                events.push(event);
+            }
+        }
+    }
+    return events;
+}
+
+// Separate two overlapping rocks and exchange the collision impulse.
+// Returns the collision event, or null if they do not touch or are already
+// moving apart.
+export function collideRockPair(a, pa, b, pb) {
+    const delta = new THREE.Vector3().subVectors(b.position, a.position);
+    const distance = delta.length();
+    // Cheap bounding sphere test before the spheroid one
+    if (distance >= pa.radius + pb.radius || distance === 0) return null;
+
+    const normal = delta.divideScalar(distance); // From a towards b
+    const reachA = spheroidRadius(a.orientation, pa.radius, pa.thicknessRatio, normal);
+    const reachB = spheroidRadius(b.orientation, pb.radius, pb.thicknessRatio, normal.clone().negate());
+    const penetration = reachA + reachB - distance;
+    if (penetration <= 0) return null;
+
+    // Push the stones apart, the lighter one further
+    const weightA = 1 / pa.mass;
+    const weightB = 1 / pb.mass;
+    a.position.addScaledVector(normal, (-penetration * weightA) / (weightA + weightB));
+    b.position.addScaledVector(normal, (penetration * weightB) / (weightA + weightB));
+
+    // Contact point relative to each centre
+    const offsetA = normal.clone().multiplyScalar(reachA);
+    const offsetB = normal.clone().multiplyScalar(-reachB);
+
+    // Velocity of b's contact point relative to a's
+    const pointVelocityA = new THREE.Vector3().crossVectors(a.angularVelocity, offsetA).add(a.velocity);
+    const pointVelocityB = new THREE.Vector3().crossVectors(b.angularVelocity, offsetB).add(b.velocity);
+    const relative = pointVelocityB.sub(pointVelocityA);
+    const closingSpeed = -relative.dot(normal);
+    if (closingSpeed <= 0) return null;
+
+    const inertiaA = rockInertia(pa);
+    const inertiaB = rockInertia(pb);
+    const response = (direction) =>
+        impulseResponse(a.orientation, pa.mass, inertiaA, offsetA, direction) +
+        impulseResponse(b.orientation, pb.mass, inertiaB, offsetB, direction);
+
+    // Normal impulse with the less bouncy stone's restitution
+    const restitution = Math.min(pa.collisionRestitution, pb.collisionRestitution);
+    const normalImpulse = ((1 + restitution) * closingSpeed) / response(normal);
+    const impulse = normal.clone().multiplyScalar(normalImpulse); // Acting on b
+
+    // Friction against the sliding of the contact points, capped by the
+    // Coulomb limit
+    const tangent = relative.addScaledVector(normal, closingSpeed);
+    const slidingSpeed = tangent.length();
+    if (slidingSpeed > 1e-9) {
+        tangent.divideScalar(slidingSpeed);
+        const friction = Math.sqrt(pa.collisionFriction * pb.collisionFriction);
+        const frictionImpulse = Math.min(slidingSpeed / response(tangent), friction * normalImpulse);
+        impulse.addScaledVector(tangent, -frictionImpulse);
+    }
+
+    applyImpulse(b.velocity, b.angularVelocity, b.orientation, pb.mass, inertiaB, impulse, offsetB);
+    applyImpulse(a.velocity, a.angularVelocity, a.orientation, pa.mass, inertiaA, impulse.negate(), offsetA);
+
+    wakeRock(a);
+    wakeRock(b);
+
+    return {
+        type: "collision",
+        time: Math.max(a.time, b.time),
+        position: a.position.clone().add(offsetA),
+        impactVelocity: closingSpeed,
+        intensity: impactIntensity(closingSpeed, pa.mass >= pb.mass ? pa : pb),
+    };
+}
+
+// Put a resting rock back into the simulation after it was hit
+function wakeRock(state) {
+    if (state.isActive) return;
+    state.isActive = true;
+    state.restTime = 0;
+    state.stopReason = null;
+}
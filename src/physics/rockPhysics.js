@@ -0,0 +1,562 @@
+import * as THREE from "three";
+import { hashSeed, nextRandom } from "./random.js";
+import { contactForce, floodDepth, stoneHalfHeight, travelHeading } from "./hydrodynamics.js";
+import { advanceRotation, bodyUp, rockInertia, tiltedOrientation } from "./rigidBody.js";
+import { currentSampler, heightAboveSurface, surfaceFrame, surfaceSampler, surfaceUnder } from "./waterSurface.js";
+import { depthFactor } from "./current.js";
+import { collideWithPool, isOverPool } from "./poolContact.js";
+import { underwaterForces, underwaterInertia } from "./underwater.js";
+
+// Headless rock physics.
+// Nothing in here touches the DOM, WebGL or wall-clock time: a throw is a plain
+// state object that gets stepped forward by stepRock(). The Rock class only
+// copies the resulting state onto its mesh and reacts to the returned events,
+// so the same seed and the same time steps always give the same trajectory,
+// in the browser or in Node.
+
+export const DEFAULT_ROCK_PARAMS = {
+    radius: 0.05,
+    mass: 0.1, // kg
+    dragCoefficient: 0.2,
+    elasticity: 0.9, // Bounce factor
+    minSkipVelocity: 0.4, // Min velocity needed to skip
+    waterPlaneSize: { width: 2, height: 2 },
+    skipsBeforeSink: 6, // Maximum skips before sinking
+    skipAngleThreshold: 17, // Degrees
+    floorDepth: -0.5,
+    fixedTimeStep: 0.001, // Physics substep, in seconds
+    maxFrameDelta: 0.1, // Longest frame the accumulator will try to catch up on
+
+    // "hydrodynamic" integrates lift and drag on the immersed stone while it
+    // touches the water; "arcade" is the original skip/sink angle rule
+    skipModel: "hydrodynamic",
+    thicknessRatio: 0.7, // Half thickness of the stone as a fraction of its radius
+    inertia: null, // Body-frame principal moments (Vector3); null for a solid spheroid
+    edgeArea: null, // Edge-on cross-section in m^2; null for that of the spheroid
+    liftCoefficient: 1.0, // Pressure coefficient C on the immersed face
+    frictionCoefficient: 0.05, // Skin friction coefficient on the immersed face
+
+    // Under water
+    density: 2700, // kg/m^3; against the water's 1000 this sets how fast the stone sinks
+    faceDragCoefficient: 1.17, // Drag of the stone moving broadside (flat plate)
+    edgeDragCoefficient: 0.4, // Drag of the stone moving edge-on
+    rotationalDragCoefficient: 1.0, // Resistance of the water to the stone tumbling
+
+    // Release conditions of a throw
+    tiltAngle: 20, // Degrees the stone is pitched nose-up relative to the water
+    spinRate: 10, // Revolutions per second about the face normal
+
+    // Contact with other rocks and the pool
+    collisionRestitution: 0.5, // Bounce between two stones
+    collisionFriction: 0.4, // Coulomb friction between two stones
+    floorFriction: 0.5, // Coulomb friction of the stone on the floor and walls
+    floorRestitution: 0.2, // Bounce off the floor
+    wallRestitution: 0.5, // Bounce off the walls
+    rollingResistance: 3, // Rate (1/s) at which rocking and rolling on the floor die out
+    rimHeight: 0, // Top of the pool walls; above it a stone can fly out
+    obstacles: [], // Cylinders standing or floating in the pool (see obstacles.js)
+    settleTime: 0.5, // Seconds a stone has to lie still on the floor to come to rest
+};
+
+const GRAVITY = new THREE.Vector3(0, -9.8, 0);
+const AIR_DENSITY = 1.2; // kg/m^3
+
+// Below these speeds a stone on the floor counts as lying still
+const SETTLE_SPEED = 0.01; // m/s
+const SETTLE_SPIN = 0.1; // rad/s
+
+// Parameter sets resolveRockParams made, which need no resolving again
+const resolvedParams = new WeakSet();
+
+// Fill in defaults for any parameter the caller left out. Resolved
+// parameters come back as they are, so a caller stepping many times can
+// resolve them once up front.
+export function resolveRockParams(params = {}) {
+    if (resolvedParams.has(params)) return params;
+
+    const resolved = { ...DEFAULT_ROCK_PARAMS };
+    Object.keys(params).forEach((key) => {
+        if (params[key] !== undefined && params[key] !== null) {
+            resolved[key] = params[key];
+        }
+    });
+    resolvedParams.add(resolved);
+    return resolved;
+}
+
+export function createRockState(options = {}) {
+    return {
+        position: options.position ? options.position.clone() : new THREE.Vector3(),
+        velocity: options.velocity ? options.velocity.clone() : new THREE.Vector3(),
+        orientation: new THREE.Quaternion(),
+        angularVelocity: new THREE.Vector3(), // World space, rad/s
+        isActive: false,
+        hasSunk: false,
+        skipCount: 0,
+        time: 0, // Simulation time since launch, in seconds
+        restTime: 0, // How long the rock has been lying still on the floor
+        stopReason: null, // Why the rock stopped being simulated, once it has
+        lastCollisionPoint: null,
+        inContact: false, // Touching the water (hydrodynamic model only)
+        contactStart: null, // Where and how fast the current contact began
+        accumulator: 0, // Frame time not yet consumed by fixed substeps
+        rngSeed: hashSeed(options.seed ?? 0),
+    };
+}
+
+export function cloneRockState(state) {
+    return {
+        ...state,
+        position: state.position.clone(),
+        velocity: state.velocity.clone(),
+        orientation: state.orientation.clone(),
+        angularVelocity: state.angularVelocity.clone(),
+        lastCollisionPoint: state.lastCollisionPoint ? state.lastCollisionPoint.clone() : null,
+        contactStart: state.contactStart
+            ? {
+                  ...state.contactStart,
+                  position: state.contactStart.position.clone(),
+                  velocity: state.contactStart.velocity.clone(),
+              }
+            : null,
+    };
+}
+
+// Start a throw from the state's current position with the given velocity.
+// The stone leaves the hand pitched nose-up by tiltAngle degrees along its
+// direction of travel and spinning at spinRate revolutions per second about
+// its face normal (positive is counter-clockwise seen from above).
+export function launchRock(state, velocity, { seed = null, tiltAngle = 0, spinRate = 0 } = {}) {
+    const next = cloneRockState(state);
+    next.velocity.copy(velocity);
+    tiltedOrientation(travelHeading(velocity), THREE.MathUtils.degToRad(tiltAngle), next.orientation);
+    bodyUp(next.orientation, next.angularVelocity).multiplyScalar(spinRate * 2 * Math.PI);
+    next.isActive = true;
+    next.hasSunk = false;
+    next.skipCount = 0;
+    next.time = 0;
+    next.restTime = 0;
+    next.stopReason = null;
+    next.accumulator = 0;
+    next.lastCollisionPoint = null;
+    next.inContact = false;
+    next.contactStart = null;
+    if (seed !== null) {
+        next.rngSeed = hashSeed(seed);
+    }
+    return next;
+}
+
+// Draw a random number in [-0.5, 0.5) from the state's own generator
+function randomCentered(state) {
+    const result = nextRandom(state.rngSeed);
+    state.rngSeed = result.seed;
+    return result.value - 0.5;
+}
+
+// The stone goes under. No two stones flutter down quite the same way, so it
+// gets a small seeded wobble about a horizontal axis.
+function beginSinking(state) {
+    state.hasSunk = true;
+    state.angularVelocity.x += randomCentered(state) * 2;
+    state.angularVelocity.z += randomCentered(state) * 2;
+}
+
+// Advance a rock by one frame of deltaTime seconds.
+// The frame time goes into an accumulator and is consumed in fixed substeps of
+// params.fixedTimeStep, so the trajectory is the same at 30, 60 or 144 Hz; any
+// remainder carries over to the next frame.
+// Returns the new state and every event from the substeps that ran.
+export function advanceRock(state, params, deltaTime, env = {}) {
+    const p = resolveRockParams(params);
+    const events = [];
+    const current = cloneRockState(state);
+
+    // Never try to catch up more than maxFrameDelta (tab switches, breakpoints)
+    current.accumulator += Math.min(Math.max(deltaTime, 0), p.maxFrameDelta);
+
+    // The substeps work on this frame's own copy of the state
+    while (current.accumulator >= p.fixedTimeStep && current.isActive) {
+        integrateStep(current, p, p.fixedTimeStep, env, events);
+        current.accumulator -= p.fixedTimeStep;
+    }
+
+    if (!current.isActive) {
+        current.accumulator = 0;
+    }
+
+    return { state: current, events };
+}
+
+// Advance a rock by a single substep of deltaTime seconds.
+// env.sampleSurface(x, z, target) gives the height and normal of the live
+// water surface the rock collides with (see waterSurface.js); without it the
+// water is a flat plane at env.waterHeight. env.sampleCurrent(x, z, target)
+// gives the velocity of the water at the surface; the stone in the water is
+// dragged along with it. Without it the water is still.
+// Returns the new state and the list of events (skip, sink, stop) that
+// happened during the step; the input state is left untouched.
+export function stepRock(state, params, deltaTime, env = {}) {
+    const events = [];
+    if (!state.isActive) return { state, events };
+
+    const next = cloneRockState(state);
+    integrateStep(next, resolveRockParams(params), deltaTime, env, events);
+    return { state: next, events };
+}
+
+// One substep of stepRock, in place on the state, adding its events to the
+// list
+function integrateStep(state, p, deltaTime, env, events) {
+    // The water under the rock, as a plane through the surface point below it
+    const surface = surfaceUnder(surfaceSampler(env), state.position, currentSampler(env));
+
+    // Each phase integrates the linear motion and returns the torque it applied
+    let torque = null;
+    if (state.hasSunk) {
+        torque = integrateSinking(state, p, deltaTime, surface);
+    } else if (state.inContact) {
+        torque = integrateContact(state, p, deltaTime, surface, events);
+    } else {
+        torque = integrateFlight(state, p, deltaTime, surface, events);
+    }
+
+    // Rigid-body rotation with the full inertia tensor: a spinning stone
+    // precesses under the water torque instead of pitching over. Under water
+    // it also has to swing the surrounding water round with it.
+    const inertia = state.hasSunk ? underwaterInertia(rockInertia(p), p.radius) : rockInertia(p);
+    advanceRotation(state.angularVelocity, state.orientation, inertia, torque, deltaTime);
+
+    // Bounce off the walls, land on and slide along the floor
+    const onFloor = collideWithPool(state, p, deltaTime, events);
+
+    state.time += deltaTime;
+
+    checkBoundaries(state, p, deltaTime, onFloor, events);
+}
+
+// Gravity plus quadratic air drag. The arcade model keeps its original drag
+// law. The hydrodynamic one uses the density of air and the stone's edge-on
+// cross-section, as the underwater drag does: the old law took as much speed
+// off a throw between skips as the water did during them.
+function flightAcceleration(velocity, p) {
+    const acceleration = GRAVITY.clone();
+    const speed = velocity.length();
+    if (speed > 0) {
+        const edgeOn = p.edgeArea ?? Math.PI * p.radius * p.radius * p.thicknessRatio;
+        const drag = p.skipModel === "arcade" ? 0.1 * p.dragCoefficient : 0.5 * AIR_DENSITY * p.dragCoefficient * edgeOn;
+        acceleration.addScaledVector(velocity, (-drag * speed) / p.mass);
+    }
+    return acceleration;
+}
+
+// Distance from the rock's centre to the point that touches the water first,
+// measured along the surface normal: the trailing edge of the tilted stone,
+// or the centre in arcade mode
+function contactOffset(state, p, surface) {
+    if (p.skipModel === "arcade") return 0;
+    const faceNormal = bodyUp(state.orientation).applyQuaternion(surfaceFrame(surface));
+    return stoneHalfHeight(p.radius, p.radius * p.thicknessRatio, faceNormal);
+}
+
+// Semi-implicit Euler through the air, with a swept test against the water
+// surface. Within the substep the rock follows x0 + v0 t + a t^2 / 2, so the
+// exact crossing time is a root of that quadratic; the rock is moved to the
+// crossing, the impact is resolved there and the rest of the substep is
+// integrated from the post-impact state. Heights and speeds are measured
+// along the normal of the local water plane, so a rock meets the slope of a
+// ripple rather than the level of still water.
+function integrateFlight(state, p, dt, surface, events) {
+    const acceleration = flightAcceleration(state.velocity, p);
+    const offset = contactOffset(state, p, surface);
+    const y0 = heightAboveSurface(state.position, surface) - offset;
+    const vy = state.velocity.dot(surface.normal);
+    const ay = acceleration.dot(surface.normal);
+
+    // A tumbling stone can swing its edge under the surface without its
+    // centre moving down; that is a contact too
+    if (y0 < 0 && p.skipModel !== "arcade" && isOverPool(state.position, p)) {
+        beginContact(state, state.time, surface);
+        return integrateContact(state, p, dt, surface, events);
+    }
+
+    // There is no water outside the pool walls
+    const impactTime = y0 >= 0 && isOverPool(state.position, p) ? findCrossingTime(y0, vy, ay, dt) : null;
+
+    if (impactTime === null) {
+        state.velocity.addScaledVector(acceleration, dt);
+        state.position.addScaledVector(state.velocity, dt);
+        return null;
+    }
+
+    // Move exactly to the point of impact
+    state.position
+        .addScaledVector(state.velocity, impactTime)
+        .addScaledVector(acceleration, 0.5 * impactTime * impactTime);
+    state.position.addScaledVector(surface.normal, offset - heightAboveSurface(state.position, surface));
+    state.velocity.addScaledVector(acceleration, impactTime);
+
+    const remaining = dt - impactTime;
+
+    if (p.skipModel !== "arcade") {
+        beginContact(state, state.time + impactTime, surface);
+        if (remaining <= 0) return null;
+        return integrateContact(state, p, remaining, surface, events, state.time + impactTime);
+    }
+
+    resolveWaterImpact(state, p, surface, events, state.time + impactTime);
+
+    // Spend what is left of the substep after the impact
+    if (remaining <= 0) return null;
+    if (state.hasSunk) {
+        return integrateSinking(state, p, remaining, surface);
+    }
+    state.velocity.addScaledVector(flightAcceleration(state.velocity, p), remaining);
+    state.position.addScaledVector(state.velocity, remaining);
+    return null;
+}
+
+// Smallest t in (0, dt] with y0 + vy t + ay t^2 / 2 = 0, or null if the rock
+// stays above the surface for the whole substep
+function findCrossingTime(y0, vy, ay, dt) {
+    if (y0 + vy * dt + 0.5 * ay * dt * dt >= 0) return null;
+
+    let t;
+    if (Math.abs(ay) < 1e-9) {
+        t = -y0 / vy;
+    } else {
+        const discriminant = vy * vy - 2 * ay * y0;
+        const root = Math.sqrt(Math.max(discriminant, 0));
+        // Numerically stable form of the smaller positive root
+        const q = -0.5 * (vy + Math.sign(vy || -1) * root);
+        const t1 = q / (0.5 * ay);
+        const t2 = q !== 0 ? y0 / q : Infinity;
+        // f(0) >= 0 and f(dt) < 0, so exactly one root lies inside the substep
+        const inside = [t1, t2].filter((value) => value >= 0 && value <= dt * (1 + 1e-9));
+        t = inside.length > 0 ? Math.min(...inside) : dt;
+    }
+    return Math.min(Math.max(t, 0), dt);
+}
+
+// Under water: weight against buoyancy, orientation-dependent drag and the
+// moments that make a flat stone flutter on its way down (see underwater.js).
+// The drag is against the current, which slows towards the bed, so the stone
+// drifts downstream on its way down. Within a stone's radius of the bed it is
+// down among the gravel, sheltered from the flow, and settles. The floor and
+// walls are handled by collideWithPool. Returns the water torque.
+function integrateSinking(state, p, dt, surface) {
+    const faceNormal = bodyUp(state.orientation);
+    const heightAboveBed = state.position.y - p.floorDepth - p.radius;
+    const flow = surface.current.clone().multiplyScalar(depthFactor(heightAboveBed, surface.point.y - p.floorDepth));
+    const { force, torque } = underwaterForces({
+        velocity: state.velocity.clone().sub(flow),
+        angularVelocity: state.angularVelocity,
+        faceNormal,
+        mass: p.mass,
+        density: p.density,
+        radius: p.radius,
+        thicknessRatio: p.thicknessRatio,
+        edgeArea: p.edgeArea,
+        faceDragCoefficient: p.faceDragCoefficient,
+        edgeDragCoefficient: p.edgeDragCoefficient,
+        rotationalDragCoefficient: p.rotationalDragCoefficient,
+        frictionCoefficient: p.frictionCoefficient,
+    });
+
+    state.velocity.addScaledVector(force, dt / p.mass);
+    state.position.addScaledVector(state.velocity, dt);
+    return torque;
+}
+
+// Ripple strength for an impact at the given speed
+export function impactIntensity(impactVelocity, p) {
+    return 0.001 + Math.pow(impactVelocity, 2.5) * p.radius * p.radius * (p.mass / 0.1);
+}
+
+// Angle between the velocity and the local water surface
+function impactAngle(velocity, surfaceNormal) {
+    const velocityDirection = velocity.clone().normalize();
+    // since angle from acos is just normal to velocity, we subtract it from PI/2
+    return Math.abs(Math.PI / 2 - Math.acos(THREE.MathUtils.clamp(velocityDirection.dot(surfaceNormal), -1, 1)));
+}
+
+// The trailing edge has just touched the water
+function beginContact(state, time, surface) {
+    state.inContact = true;
+    state.contactStart = {
+        time,
+        position: state.position.clone(),
+        velocity: state.velocity.clone(),
+        angleOfIncidence: impactAngle(state.velocity, surface.normal),
+    };
+    state.lastCollisionPoint = state.position.clone();
+}
+
+// Hydrodynamic contact phase: gravity plus the lift and drag of the water on
+// the immersed part of the stone. The contact ends in a skip when the stone
+// comes back out, or a sink when it ends up completely under the surface.
+// The tilt is whatever the stone's orientation currently is, so a stone that
+// pitched nose-down during the contact digs in. The forces are worked out in
+// the frame of the local water plane and rotated back to world space.
+// Returns the water torque.
+function integrateContact(state, p, dt, surface, events, startTime = state.time) {
+    const frame = surfaceFrame(surface);
+    const faceNormal = bodyUp(state.orientation).applyQuaternion(frame);
+    const halfThickness = p.radius * p.thicknessRatio;
+    const halfHeight = stoneHalfHeight(p.radius, halfThickness, faceNormal);
+    const depth = halfHeight - heightAboveSurface(state.position, surface);
+
+    // The water moves with the current at the surface
+    const { force, torque } = contactForce({
+        velocity: state.velocity.clone().sub(surface.current).applyQuaternion(frame),
+        faceNormal,
+        radius: p.radius,
+        halfThickness,
+        depth,
+        liftCoefficient: p.liftCoefficient,
+        frictionCoefficient: p.frictionCoefficient,
+    });
+    const toWorld = frame.clone().invert();
+    force.applyQuaternion(toWorld);
+    torque.applyQuaternion(toWorld);
+
+    state.velocity.addScaledVector(GRAVITY, dt).addScaledVector(force, dt / p.mass);
+    state.position.addScaledVector(state.velocity, dt);
+
+    const start = state.contactStart;
+    const impactVelocity = start.velocity.length();
+    const time = startTime + dt;
+
+    // Leading edge of the lower face: once it is under, the wetted chord spans
+    // the whole stone and water floods over the top face (Clanet's dive
+    // criterion, reached at a depth of 2R sin(tilt))
+    const clearance = heightAboveSurface(state.position, surface) - halfHeight;
+    const leadingEdgeDepth = -(clearance + floodDepth(p.radius, faceNormal));
+
+    if (leadingEdgeDepth > 0) {
+        // The stone is fully immersed: it has dug in
+        state.inContact = false;
+        beginSinking(state);
+        events.push({
+            type: "sink",
+            time,
+            position: start.position.clone(),
+            impactVelocity,
+            velocity: start.velocity.clone(), // At impact
+            angleOfIncidence: start.angleOfIncidence,
+            intensity: impactIntensity(impactVelocity, p),
+            reason: state.velocity.y < 0 ? "dug in" : "too slow to lift off",
+        });
+    } else if (clearance > 0) {
+        // Trailing edge is clear of the surface again
+        state.inContact = false;
+        state.skipCount++;
+        events.push({
+            type: "skip",
+            time,
+            position: start.position.clone(),
+            impactVelocity,
+            velocity: start.velocity.clone(), // At impact
+            angleOfIncidence: start.angleOfIncidence,
+            intensity: impactIntensity(impactVelocity, p),
+            skipCount: state.skipCount,
+            contactDuration: time - start.time,
+            speedLoss: impactVelocity - state.velocity.length(),
+        });
+    }
+
+    return torque;
+}
+
+// Arcade model: decide between skip and sink with the angle threshold rule
+function resolveWaterImpact(state, p, surface, events, impactTime) {
+    const collisionPoint = state.position.clone();
+    state.lastCollisionPoint = collisionPoint.clone();
+
+    const velocity = state.velocity.clone();
+    const impactVelocity = velocity.length();
+    const angleOfIncidence = impactAngle(state.velocity, surface.normal);
+    const intensity = impactIntensity(impactVelocity, p);
+
+    const canSkip =
+        angleOfIncidence < (Math.PI / 180) * p.skipAngleThreshold &&
+        impactVelocity > p.minSkipVelocity * Math.sqrt(p.mass / 0.1) && // Heavier rocks need more velocity
+        state.skipCount < p.skipsBeforeSink;
+
+    if (canSkip) {
+        state.skipCount++;
+
+        // Lose some energy but maintain forward momentum: bounce the part of
+        // the velocity going into the surface, damp the part along it
+        const bounceCoefficient = p.elasticity * (1 - state.skipCount / p.skipsBeforeSink);
+        const normalSpeed = state.velocity.dot(surface.normal);
+        state.velocity
+            .addScaledVector(surface.normal, -normalSpeed)
+            .multiplyScalar(0.95)
+            .addScaledVector(surface.normal, -normalSpeed * bounceCoefficient);
+
+        events.push({
+            type: "skip",
+            time: impactTime,
+            position: collisionPoint,
+            impactVelocity,
+            velocity,
+            angleOfIncidence,
+            intensity,
+            skipCount: state.skipCount,
+        });
+        return;
+    }
+
+    let reason = "";
+    if (impactVelocity <= p.minSkipVelocity) {
+        reason = "insufficient velocity";
+    } else if (angleOfIncidence >= p.skipAngleThreshold * (Math.PI / 180)) {
+        reason = "angle too steep";
+    } else {
+        reason = "max skips exceeded";
+    }
+
+    beginSinking(state);
+
+    // Significantly reduce velocity but keep direction for momentum continuity
+    state.velocity.multiplyScalar(0.3);
+    state.velocity.y = -Math.max(0.2, Math.abs(state.velocity.y) * 0.3);
+    state.angularVelocity.multiplyScalar(0.5);
+
+    events.push({
+        type: "sink",
+        time: impactTime,
+        position: collisionPoint,
+        impactVelocity,
+        velocity,
+        angleOfIncidence,
+        intensity,
+        reason,
+    });
+}
+
+// Stop simulating a rock once it has flown out of the pool or settled on the
+// floor. A settled rock can be knocked back into motion by another one.
+function checkBoundaries(state, p, dt, onFloor, events) {
+    const isStill =
+        state.velocity.lengthSq() < SETTLE_SPEED * SETTLE_SPEED &&
+        state.angularVelocity.lengthSq() < SETTLE_SPIN * SETTLE_SPIN;
+    state.restTime = onFloor && isStill ? state.restTime + dt : 0;
+
+    let reason = null;
+    if (!isOverPool(state.position, p) && state.position.y < p.rimHeight) {
+        // Went over the rim and fell past it
+        reason = "out of bounds";
+    } else if (state.restTime >= p.settleTime) {
+        reason = "at rest";
+        state.velocity.set(0, 0, 0);
+        state.angularVelocity.set(0, 0, 0);
+    }
+
+    if (reason) {
+        state.isActive = false;
+        state.stopReason = reason;
+        events.push({ type: "stop", time: state.time, position: state.position.clone(), reason });
+    }
+}
@@ -0,0 +1,76 @@
+import * as THREE from "three";
+import { WATER_DENSITY } from "./hydrodynamics.js";
+
+// Forces on a stone that is completely under water.
+// The stone sinks under its weight less its buoyancy, so how fast it goes down
+// depends on its density against the water's. Drag is quadratic and split
+// along the stone's axes: broadside to the flow a disc presents its whole face
+// and a flat-plate drag coefficient, edge-on only its thin cross-section, so
+// a tilted stone drifts sideways as it sinks. The water a disc has to push
+// aside also adds to its inertia (added mass) and gives the Munk moment that
+// turns it broadside to its motion; together with the rotational drag that
+// makes a flat stone rock from side to side and glide back and forth on the
+// way down, the "falling leaf" descent of a real skipping stone.
+
+const GRAVITY = 9.8;
+
+// Added mass of a thin disc moving along its normal, and added moment of
+// inertia for rotation about a diameter (Lamb, Hydrodynamics)
+export function discAddedMass(radius) {
+    return (8 / 3) * WATER_DENSITY * radius ** 3;
+}
+
+export function discAddedInertia(radius) {
+    return (16 / 45) * WATER_DENSITY * radius ** 5;
+}
+
+// Body-frame inertia of the stone plus the water it carries round with it
+export function underwaterInertia(inertia, radius) {
+    const added = discAddedInertia(radius);
+    return new THREE.Vector3(inertia.x + added, inertia.y, inertia.z + added);
+}
+
+// Net force and torque on the submerged stone, in world space.
+// velocity is relative to the water; faceNormal is the stone's body +y axis.
+export function underwaterForces({
+    velocity,
+    angularVelocity,
+    faceNormal,
+    mass,
+    density,
+    radius,
+    thicknessRatio,
+    edgeArea = null,
+    faceDragCoefficient,
+    edgeDragCoefficient,
+    rotationalDragCoefficient,
+    frictionCoefficient,
+}) {
+    // Weight less buoyancy: the stone displaces mass / density of water
+    const force = new THREE.Vector3(0, -mass * GRAVITY * (1 - WATER_DENSITY / density), 0);
+    const torque = new THREE.Vector3();
+
+    // Quadratic drag, broadside and edge-on
+    const normalSpeed = velocity.dot(faceNormal);
+    const normalVelocity = faceNormal.clone().multiplyScalar(normalSpeed);
+    const edgeVelocity = velocity.clone().sub(normalVelocity);
+    const faceArea = Math.PI * radius * radius;
+    force.addScaledVector(normalVelocity, -0.5 * WATER_DENSITY * faceDragCoefficient * faceArea * Math.abs(normalSpeed));
+    const edgeOn = edgeArea ?? Math.PI * radius * radius * thicknessRatio;
+    force.addScaledVector(edgeVelocity, -0.5 * WATER_DENSITY * edgeDragCoefficient * edgeOn * edgeVelocity.length());
+
+    // Munk moment -v x (M_a v): only motion along the normal carries added
+    // mass, so this turns the face towards the direction of travel
+    torque.crossVectors(velocity, faceNormal).multiplyScalar(-discAddedMass(radius) * normalSpeed);
+
+    // Rotational drag: tumbling pushes the faces through the water, spinning
+    // only rubs them
+    const spinRate = angularVelocity.dot(faceNormal);
+    const spin = faceNormal.clone().multiplyScalar(spinRate);
+    const tumble = angularVelocity.clone().sub(spin);
+    const rotationalScale = WATER_DENSITY * radius ** 5;
+    torque.addScaledVector(tumble, -rotationalDragCoefficient * rotationalScale * tumble.length());
+    torque.addScaledVector(spin, -frictionCoefficient * rotationalScale * Math.abs(spinRate));
+
+    return { force, torque };
+}
@@ -0,0 +1,75 @@
+import * as THREE from "three";
+
+// The water surface as the rock physics sees it.
+// A surface sampler is a function (x, z, target) that fills target with the
+// height of the water above (x, z) and its unit normal there. The physics
+// treats the water under the rock as the tangent plane through that point,
+// so skips and sinks follow the local slope of a passing ripple.
+// A current sampler is a function (x, z, target) that fills target with the
+// velocity of the water at the surface above (x, z); without one the water
+// is still.
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+export function createSurfaceSample() {
+    return { height: 0, normal: new THREE.Vector3(0, 1, 0) };
+}
+
+// Sampler for a still, flat water plane at the given height
+export function flatSurface(height = 0) {
+    return (x, z, target = createSurfaceSample()) => {
+        target.height = height;
+        target.normal.copy(UP);
+        return target;
+    };
+}
+
+// Surface sampler for a physics env: env.sampleSurface if the caller has a
+// live water surface, otherwise a flat plane at env.waterHeight
+export function surfaceSampler(env = {}) {
+    return env.sampleSurface || flatSurface(env.waterHeight ?? 0);
+}
+
+function stillWater(x, z, target = new THREE.Vector3()) {
+    return target.set(0, 0, 0);
+}
+
+// Current sampler for a physics env: env.sampleCurrent, or still water
+export function currentSampler(env = {}) {
+    return env.sampleCurrent || stillWater;
+}
+
+// Physics env for a water object with sampleSurface(x, z, target) and
+// sampleCurrent(x, z, target) methods, such as the Water mesh, or flat still
+// water at height 0 when there is none. With flat set the surface is taken
+// as flat and at rest, but the current still flows.
+export function surfaceEnv(water, { flat = false } = {}) {
+    if (!water) return { waterHeight: 0 };
+    const sampleCurrent = (x, z, target) => water.sampleCurrent(x, z, target);
+    if (flat) return { waterHeight: water.position.y, sampleCurrent };
+    return { sampleSurface: (x, z, target) => water.sampleSurface(x, z, target), sampleCurrent };
+}
+
+// The local water plane under (or over) a position: the point of the surface
+// straight above or below it, the surface normal there and the velocity of
+// the water at the surface
+export function surfaceUnder(sampler, position, current = stillWater) {
+    const sample = sampler(position.x, position.z, createSurfaceSample());
+    return {
+        point: new THREE.Vector3(position.x, sample.height, position.z),
+        normal: sample.normal.clone(),
+        current: current(position.x, position.z, new THREE.Vector3()),
+    };
+}
+
+// Signed distance of a point above a local water plane, measured along its
+// normal
+export function heightAboveSurface(position, plane) {
+    return new THREE.Vector3().subVectors(position, plane.point).dot(plane.normal);
+}
+
+// Rotation that takes the plane normal to +y. Vectors rotated by it are in
+// the frame of the local water plane, where the flat-water formulas apply.
+export function surfaceFrame(plane, target = new THREE.Quaternion()) {
+    return target.setFromUnitVectors(plane.normal, UP);
+}
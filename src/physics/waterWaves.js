@@ -0,0 +1,145 @@
+// Dispersion of water waves, for the ripple simulation.
+// A wave of wavenumber k on water of depth d oscillates at the angular
+// frequency given by the dispersion relation
+//   omega^2 = (g k + sigma / rho k^3) tanh(k d)
+// Long waves (k d << 1) all run at the shallow water speed sqrt(g d); shorter
+// gravity waves are slower the shorter they are, and below about 1.7 cm the
+// surface tension takes over and capillary ripples get faster again.
+//
+// The simulation steps the height field h of the grid with
+//   d^2h/dt^2 = sum over taps of w (h(x + o) + h(x - o) - 2 h(x))
+// A tap pairs the texel with the two at offset +-o and pulls it towards
+// their mean; a wave of wavevector k feels the sum as
+//   omega^2 = sum of 2 w (1 - cos(k . o))
+// Taps at one texel alone give the plain wave equation, where every
+// wavelength runs at the same speed. Here the taps are spread over every
+// scale from one texel to half the pool, an octave apart in four directions,
+// and their weights are fitted to the dispersion relation, so each
+// wavelength the grid can hold runs at its own real speed in m/s, whatever
+// the resolution and size of the grid.
+
+export const GRAVITY = 9.81; // m/s^2
+export const SURFACE_TENSION = 7.28e-5; // sigma / rho of clean water, m^3/s^2
+
+// omega^2 (rad^2/s^2) of a wave of wavenumber k (rad/m) on water of depth d (m)
+export function dispersion(k, depth) {
+    return (GRAVITY * k + SURFACE_TENSION * k * k * k) * Math.tanh(k * depth);
+}
+
+// Phase speed (m/s) of a wave of wavenumber k on water of the given depth
+export function phaseSpeed(k, depth) {
+    if (k === 0) return Math.sqrt(GRAVITY * depth);
+    return Math.sqrt(dispersion(k, depth)) / k;
+}
+
+// Tap offsets in texels: an octave apart from the smallest cell up to
+// maxLength (m), along x, z and both diagonals, each offset only once
+function tapOffsets(cellX, cellZ, maxLength) {
+    const offsets = [];
+    const seen = new Set();
+    const smallest = Math.min(cellX, cellZ);
+    for (let length = smallest; length <= maxLength; length *= 2) {
+        for (let d = 0; d < 4; d++) {
+            const angle = (Math.PI * d) / 4;
+            const i = Math.round((length * Math.cos(angle)) / cellX);
+            const j = Math.round((length * Math.sin(angle)) / cellZ);
+            const key = `${i},${j}`;
+            if ((i === 0 && j === 0) || seen.has(key)) continue;
+            seen.add(key);
+            offsets.push({ i, j });
+        }
+    }
+    return offsets;
+}
+
+// Least squares solution of rows x = rhs, through the normal equations
+function leastSquares(rows, rhs) {
+    const n = rows[0].length;
+    const m = Array.from({ length: n }, () => new Float64Array(n + 1));
+    rows.forEach((row, r) => {
+        for (let a = 0; a < n; a++) {
+            if (row[a] === 0) continue;
+            m[a][n] += row[a] * rhs[r];
+            for (let b = 0; b < n; b++) m[a][b] += row[a] * row[b];
+        }
+    });
+    // Gaussian elimination with partial pivoting, slightly regularized
+    for (let a = 0; a < n; a++) m[a][a] += 1e-9 * (m[a][a] || 1);
+    for (let a = 0; a < n; a++) {
+        let pivot = a;
+        for (let r = a + 1; r < n; r++) if (Math.abs(m[r][a]) > Math.abs(m[pivot][a])) pivot = r;
+        [m[a], m[pivot]] = [m[pivot], m[a]];
+        for (let r = a + 1; r < n; r++) {
+            const f = m[r][a] / m[a][a];
+            if (f === 0) continue;
+            for (let c = a; c <= n; c++) m[r][c] -= f * m[a][c];
+        }
+    }
+    const x = new Float64Array(n);
+    for (let a = n - 1; a >= 0; a--) {
+        let sum = m[a][n];
+        for (let c = a + 1; c < n; c++) sum -= m[a][c] * x[c];
+        x[a] = sum / m[a][a];
+    }
+    return x;
+}
+
+// Taps of the wave step for a grid of cellX by cellZ metres covering a
+// width by height plane of water of the given depth. Returns the taps
+// ({ i, j, weight } with offsets in texels and weights in 1/s^2) and the
+// highest angular frequency they let through, which bounds the time step.
+// The weights are fitted, none negative so no wave can grow, to give the
+// right phase speed to waves of every wavelength from the pool's size down
+// to two cells, in every direction.
+export function waveStencil({ cellX, cellZ, width, height, depth }) {
+    const offsets = tapOffsets(cellX, cellZ, Math.max(width, height) / 2);
+
+    // Wavevectors to fit: log spaced lengths in twelve directions, up to
+    // what the grid can hold in that direction
+    const rows = [];
+    const minK = Math.PI / Math.max(width, height);
+    for (let d = 0; d < 12; d++) {
+        const angle = ((Math.PI / 2) * d) / 11;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const maxK = 0.9 * Math.min(cos > 1e-6 ? Math.PI / cellX / cos : Infinity, sin > 1e-6 ? Math.PI / cellZ / sin : Infinity);
+        for (let s = 0; s < 60; s++) {
+            const k = minK * (maxK / minK) ** (s / 59);
+            const omega2 = dispersion(k, depth);
+            // Relative error, so short and long waves count alike
+            rows.push(offsets.map(({ i, j }) => (2 * (1 - Math.cos(k * cos * i * cellX + k * sin * j * cellZ))) / omega2));
+        }
+    }
+    const ones = rows.map(() => 1);
+
+    // Non-negative least squares: drop the most negative tap and refit
+    // until none is left negative
+    let active = offsets.map((_, n) => n);
+    let weights;
+    for (;;) {
+        const solution = leastSquares(
+            rows.map((row) => active.map((n) => row[n])),
+            ones
+        );
+        weights = new Float64Array(offsets.length);
+        active.forEach((n, a) => (weights[n] = solution[a]));
+
+        let worst = -1;
+        active.forEach((n) => {
+            if (weights[n] < 0 && (worst < 0 || weights[n] < weights[worst])) worst = n;
+        });
+        if (worst < 0) break;
+        active = active.filter((n) => n !== worst);
+    }
+
+    const taps = active.map((n) => ({ ...offsets[n], weight: weights[n] }));
+    // omega^2 of any grid wave is at most 4 times the summed weights
+    const maxFrequency = Math.sqrt(4 * taps.reduce((sum, tap) => sum + tap.weight, 0));
+    return { taps, maxFrequency };
+}
+
+// omega^2 the stencil gives a wave of wavevector (kx, kz), to check it
+// against dispersion()
+export function stencilDispersion({ taps }, cellX, cellZ, kx, kz) {
+    return taps.reduce((sum, { i, j, weight }) => sum + 2 * weight * (1 - Math.cos(kx * i * cellX + kz * j * cellZ)), 0);
+}
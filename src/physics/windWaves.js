@@ -0,0 +1,136 @@
+// Ambient waves raised by the wind, layered under the ripple simulation.
+// The wind sea is a sum of Gerstner waves drawn from a JONSWAP spectrum, the
+// spectrum of a sea that is still growing over a limited fetch (the distance
+// the wind has blown over the water), which suits a lake. Each wave carries
+// the energy of one band of frequencies and runs at its real speed for the
+// depth (see waterWaves.js), in a direction spread around the wind's.
+//
+// A Gerstner wave moves the water in circles: a point at rest at x0 sits at
+//   x = x0 + sum of Q a D cos(theta)
+//   y = sum of a sin(theta),  theta = k D . x0 - omega t + phase
+// for waves of amplitude a, direction D, wavenumber k and steepness Q, which
+// sharpens the crests and flattens the troughs. The shaders evaluate the same
+// sum (wind_waves.glsl), so the rocks hit the surface that is drawn.
+
+import { GRAVITY, dispersion } from "./waterWaves.js";
+import { createRandom } from "./random.js";
+
+// Peak angular frequency (rad/s) of the JONSWAP spectrum for a wind of
+// windSpeed m/s (at 10 m) blowing over fetch m of water
+export function peakFrequency(windSpeed, fetch) {
+    return 22 * Math.cbrt((GRAVITY * GRAVITY) / (windSpeed * fetch));
+}
+
+// JONSWAP spectral density (m^2 s/rad) at angular frequency omega
+export function jonswap(omega, windSpeed, fetch) {
+    const peak = peakFrequency(windSpeed, fetch);
+    const alpha = 0.076 * ((windSpeed * windSpeed) / (fetch * GRAVITY)) ** 0.22;
+    const gamma = 3.3; // Peak enhancement
+    const sigma = omega <= peak ? 0.07 : 0.09;
+    const r = Math.exp(-((omega - peak) ** 2) / (2 * sigma * sigma * peak * peak));
+    return ((alpha * GRAVITY * GRAVITY) / omega ** 5) * Math.exp(-1.25 * (peak / omega) ** 4) * gamma ** r;
+}
+
+// Wavenumber (rad/m) of waves of angular frequency omega on water of the
+// given depth: the inverse of the dispersion relation, by bisection
+export function wavenumber(omega, depth) {
+    let low = 0;
+    let high = Math.max((omega * omega) / GRAVITY, omega / Math.sqrt(GRAVITY * depth)) * 2;
+    while (dispersion(high, depth) < omega * omega) high *= 2;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (dispersion(mid, depth) < omega * omega) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+}
+
+// Waves of the wind sea for a wind of speed m/s blowing towards direction
+// (radians from +z towards +x) over fetch m of water of the given depth:
+// [{ direction: { x, z }, k, omega, amplitude, phase, steepness }].
+// The spectrum from 0.7 to 2.5 times its peak frequency is cut into count
+// bands; each wave's direction is drawn from a cos^2 spread around the wind.
+// choppiness (0 to 1) sets how sharp the crests are; the steepnesses are
+// scaled down where they would make the crests loop over.
+export function windWaves({ speed, direction = 0, fetch = 200, depth = 2, choppiness = 0.5, count = 16, seed = "wind" }) {
+    if (!(speed > 0) || count < 1) return [];
+
+    const random = createRandom(seed);
+    const peak = peakFrequency(speed, fetch);
+    const lowest = 0.7 * peak;
+    const highest = 2.5 * peak;
+    const waves = [];
+    for (let i = 0; i < count; i++) {
+        // Log spaced bands, one wave at the middle of each
+        const from = lowest * (highest / lowest) ** (i / count);
+        const to = lowest * (highest / lowest) ** ((i + 1) / count);
+        const omega = Math.sqrt(from * to);
+        const amplitude = Math.sqrt(2 * jonswap(omega, speed, fetch) * (to - from));
+
+        // cos^2 spreading within +-90 degrees of the wind, by rejection
+        let angle;
+        do {
+            angle = (random() - 0.5) * Math.PI;
+        } while (random() > Math.cos(angle) ** 2);
+        angle += direction;
+
+        waves.push({
+            direction: { x: Math.sin(angle), z: Math.cos(angle) },
+            k: wavenumber(omega, depth),
+            omega,
+            amplitude,
+            phase: random() * 2 * Math.PI,
+            steepness: choppiness,
+        });
+    }
+
+    // Crests loop over once the summed k a Q passes 1
+    const sharpness = waves.reduce((sum, wave) => sum + wave.k * wave.amplitude * wave.steepness, 0);
+    if (sharpness > 1) waves.forEach((wave) => (wave.steepness /= sharpness));
+    return waves;
+}
+
+// Significant wave height (m) of a set of waves: four times the standard
+// deviation of the surface height
+export function significantHeight(waves) {
+    return 4 * Math.sqrt(waves.reduce((sum, wave) => sum + (wave.amplitude * wave.amplitude) / 2, 0));
+}
+
+// Height (m) and unit normal of the wind sea at world (x, z) and time t, as
+// { height, normal: { x, y, z } }. The Gerstner sum moves the water
+// sideways, so the point at rest that ends up above (x, z) is found first.
+export function sampleWindWaves(waves, x, z, t, target = { height: 0, normal: { x: 0, y: 1, z: 0 } }) {
+    let x0 = x;
+    let z0 = z;
+    for (let iteration = 0; iteration < 4; iteration++) {
+        let dx = 0;
+        let dz = 0;
+        waves.forEach((wave) => {
+            const theta = wave.k * (wave.direction.x * x0 + wave.direction.z * z0) - wave.omega * t + wave.phase;
+            const sway = wave.steepness * wave.amplitude * Math.cos(theta);
+            dx += sway * wave.direction.x;
+            dz += sway * wave.direction.z;
+        });
+        x0 = x - dx;
+        z0 = z - dz;
+    }
+
+    let height = 0;
+    let nx = 0;
+    let ny = 1;
+    let nz = 0;
+    waves.forEach((wave) => {
+        const theta = wave.k * (wave.direction.x * x0 + wave.direction.z * z0) - wave.omega * t + wave.phase;
+        const ka = wave.k * wave.amplitude;
+        height += wave.amplitude * Math.sin(theta);
+        nx -= wave.direction.x * ka * Math.cos(theta);
+        nz -= wave.direction.z * ka * Math.cos(theta);
+        ny -= wave.steepness * ka * Math.sin(theta);
+    });
+    const length = Math.hypot(nx, ny, nz);
+    target.height = height;
+    target.normal.x = nx / length;
+    target.normal.y = ny / length;
+    target.normal.z = nz / length;
+    return target;
+}
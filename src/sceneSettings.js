@@ -0,0 +1,23 @@
+// Scene settings kept in local storage between visits.
+// The settings are one object of named sections (such as `obstacles`); each
+// part of the scene saves its own section and reads it back on load.
+
+const STORAGE_KEY = "rock-skipping:scene-settings";
+
+export function loadSceneSettings() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+        console.warn("Could not read the scene settings:", error);
+        return {};
+    }
+}
+
+// Save some sections, keeping the others as they were
+export function saveSceneSettings(sections) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...loadSceneSettings(), ...sections }));
+    } catch (error) {
+        console.warn("Could not save the scene settings:", error);
+    }
+}
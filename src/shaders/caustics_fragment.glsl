@@ -5,20 +5,30 @@ uniform vec2 uCausticsResolution; // Resolution of this caustics map
 uniform vec3 uLightDirection; // Normalized light direction in view space
 uniform float uWaterDepth; // Virtual depth of the water body
 uniform float uIntensity; // Caustics brightness multiplier
+uniform vec2 uPlaneSize; // Size of the water plane in m
+uniform float uHeightScale; // Metres per unit of simulated height
 
 varying vec2 vUv;
 
+// Height at a heightmap UV in simulation units: the simulated ripples plus
+// the wind waves (at rest position, their sideways sway is left out)
+float surfaceHeight(vec2 uv) {
+    vec3 windNormal;
+    vec2 world = vec2(uv.x - 0.5, 0.5 - uv.y) * uPlaneSize;
+    return texture2D(uHeightMap, uv).r + windWaves(world, windNormal).y / max(uHeightScale, 1e-4);
+}
+
 // Helper function to get height and normal from the height map
 vec3 getHeightAndNormal(vec2 uv) {
     float scale = 0.1; // Adjust based on height scale used in water vertex shader
     float epsilon = 1.0 / uResolution.x;
 
-    float hL = texture2D(uHeightMap, vec2(uv.x - epsilon, uv.y)).r; // Height Left
-    float hR = texture2D(uHeightMap, vec2(uv.x + epsilon, uv.y)).r; // Height Right
-    float hD = texture2D(uHeightMap, vec2(uv.x, uv.y - epsilon)).r; // Height Down
-    float hU = texture2D(uHeightMap, vec2(uv.x, uv.y + epsilon)).r; // Height Up
+    float hL = surfaceHeight(vec2(uv.x - epsilon, uv.y)); // Height Left
+    float hR = surfaceHeight(vec2(uv.x + epsilon, uv.y)); // Height Right
+    float hD = surfaceHeight(vec2(uv.x, uv.y - epsilon)); // Height Down
+    float hU = surfaceHeight(vec2(uv.x, uv.y + epsilon)); // Height Up
 
-    float h = texture2D(uHeightMap, uv).r; // Center height
+    float h = surfaceHeight(uv); // Center height
 
     vec3 normal = normalize(vec3( (hL - hR) * scale, (hD - hU) * scale, epsilon * 2.0));
 
@@ -29,10 +39,10 @@ vec3 getHeightAndNormal(vec2 uv) {
 void main() {
     // Calculate normal based on height map derivatives
     float epsilon = 1.0 / uResolution.x; // Pixel size in heightmap UV space
-    float hL = texture2D(uHeightMap, vUv + vec2(-epsilon, 0.0)).r;
-    float hR = texture2D(uHeightMap, vUv + vec2( epsilon, 0.0)).r;
-    float hD = texture2D(uHeightMap, vUv + vec2( 0.0, -epsilon)).r;
-    float hU = texture2D(uHeightMap, vUv + vec2( 0.0,  epsilon)).r;
+    float hL = surfaceHeight(vUv + vec2(-epsilon, 0.0));
+    float hR = surfaceHeight(vUv + vec2( epsilon, 0.0));
+    float hD = surfaceHeight(vUv + vec2( 0.0, -epsilon));
+    float hU = surfaceHeight(vUv + vec2( 0.0,  epsilon));
 
     vec3 normal = normalize(vec3(hL - hR, hD - hU, epsilon * 2.0)); // Approximate normal
 
@@ -68,7 +78,7 @@ void main() {
     float refractionFactor = (1.0 - NdotL); // More light scattered if normal faces away from light
 
     // Simulate focusing/defocusing based on curvature (using finite differences again)
-    float hC = texture2D(uHeightMap, vUv).r; // Center
+    float hC = surfaceHeight(vUv); // Center
     float laplacian = (hL + hR + hD + hU) - 4.0 * hC; // Measures curvature
 
     // Positive laplacian (concave up) focuses light, negative (convex up) disperses
@@ -0,0 +1,31 @@
+uniform vec3 uColor;
+uniform float uOpacity;
+
+varying vec2 vCorner;
+varying float vAge;
+varying float vSeed;
+
+float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+}
+
+// Value noise, for the bubbly breakup of the patch
+float noise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x), mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+}
+
+void main() {
+    float r = length(vCorner);
+    if (r > 1.0) discard;
+
+    // Soft-edged patch broken up into bubbles, which pop as it ages
+    vec2 p = vCorner * 4.0 + vSeed * 17.0;
+    float bubbles = 0.6 * noise(p) + 0.4 * noise(p * 2.7);
+    float edge = 1.0 - smoothstep(0.5, 1.0, r);
+    float coverage = smoothstep(0.35 + 0.5 * vAge, 0.6 + 0.4 * vAge, bubbles * edge + 0.3 * edge);
+    float alpha = coverage * uOpacity * (1.0 - vAge);
+    gl_FragColor = vec4(uColor, alpha);
+}
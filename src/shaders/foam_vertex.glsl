@@ -0,0 +1,39 @@
+// Foam patches on the water, one instance each. A patch lies on the surface:
+// it follows the simulated ripples and the wind waves (wind_waves.glsl is
+// prepended, see Splashes), and drifts with the current it was left in.
+
+attribute vec2 aCenter; // World XZ where it was left
+attribute vec2 aDrift;  // Current it drifts with, m/s in world XZ
+attribute vec3 aLife;   // Time it was left, its lifetime in s, and a random seed
+attribute float aSize;  // Radius in m
+
+uniform float uTime;
+uniform sampler2D uHeightMap;
+uniform float uHeightScale;
+uniform vec2 uPlaneSize;
+uniform float uWaterLevel; // Rest height of the water in m
+
+varying vec2 vCorner;
+varying float vAge;  // 0 when left, 1 when gone
+varying float vSeed;
+
+void main() {
+    float age = uTime - aLife.x;
+    vAge = age / aLife.y;
+    float alive = step(0.0, vAge) * step(vAge, 1.0);
+
+    // Patches spread out a little as they fade
+    float size = aSize * (1.0 + 0.5 * vAge) * alive;
+    vec2 world = aCenter + aDrift * age + position.xy * size;
+
+    // Sit on the surface: ripples plus wind waves. V runs against world Z.
+    vec2 uv = vec2(world.x / uPlaneSize.x + 0.5, -world.y / uPlaneSize.y + 0.5);
+    float height = texture2D(uHeightMap, uv).r * uHeightScale;
+    vec3 windNormal;
+    vec3 wind = windWaves(world, windNormal);
+
+    vec3 worldPosition = vec3(world.x + wind.x, uWaterLevel + height + wind.y + 0.003, world.y + wind.z);
+    vCorner = position.xy;
+    vSeed = aLife.z;
+    gl_Position = projectionMatrix * viewMatrix * vec4(worldPosition, 1.0);
+}
@@ -0,0 +1,19 @@
+precision highp float;
+
+uniform sampler2D tSource; // Simulation state on the old grid
+uniform vec2 uScale;       // New plane size / old plane size
+
+varying vec2 vUv;
+
+// Copy the simulation state onto a grid of another resolution or plane
+// size. Both planes are centred on the same point, so a texel keeps the
+// state at its world position; where the new plane reaches past the old one
+// the water is at rest.
+void main() {
+    vec2 uv = (vUv - 0.5) * uScale + 0.5;
+    if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+    }
+    gl_FragColor = texture2D(tSource, uv);
+}
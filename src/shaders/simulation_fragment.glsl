@@ -2,46 +2,196 @@ precision highp float;
 
 uniform sampler2D tPrev; // Previous frame's height/velocity data
 uniform vec2 uResolution; // Resolution of the simulation texture
-uniform float uDelta;     // Time delta (adjusted for simulation speed)
-uniform float uViscosity; // Damping factor
+uniform float uDelta;     // Time step in seconds
+uniform float uViscosity; // Damping rate, 1/s
 uniform float uAspect;    // Aspect ratio (width / height) of the physical plane
+uniform float uDepth;     // Depth of the water in m
+
+// Wave Stencil (see waterWaves.js)
+// MAX_WAVE_TAPS is defined by the material (see Water)
+uniform int uWaveTapCount;
+uniform vec4 uWaveTaps[MAX_WAVE_TAPS]; // Offset in texels in .xy, weight in 1/s^2 in .z
+
+#define PI 3.14159265359
+#define GRAVITY 9.81
+#define SURFACE_TENSION 7.28e-5 // sigma / rho, m^3/s^2
+
+// Boundary Conditions (see Water.BOUNDARY_MODES)
+#define BOUNDARY_REFLECTIVE 0
+#define BOUNDARY_ABSORBING 1
+#define BOUNDARY_PERIODIC 2
+uniform int uBoundaryMode;
+uniform vec2 uPlaneSize;       // Size of the physical plane in m
+uniform float uSpongeWidth;    // Width of the absorbing layer along the edges, in m
+uniform float uSpongeStrength; // Damping at the outer edge of the absorbing layer
+
+// Obstacles standing or floating in the water (see Water.updateObstacleMask):
+// 0 in .r inside one, elsewhere the distance to the nearest in texels / 255
+uniform sampler2D uObstacleMask;
+
+// Most samples of the mask on the way out to a tap; a tap that runs past an
+// obstacle without getting through in this many is only checked at its end
+#define MAX_OBSTACLE_STEPS 16
+
+// River Current (see current.js)
+#define CURRENT_UNIFORM 0
+#define CURRENT_CHANNEL 1
+uniform vec2 uCurrent;       // Surface current at its fastest, m/s in world XZ
+uniform int uCurrentProfile;
 
 
 // Click/Disturbance Input (reset each frame)
-uniform bool uApplyDisturbance;
-uniform vec2 uDisturbancePos; // UV coordinates (0-1)
+// MAX_DISTURBANCES is defined by the material (see Water)
+uniform int uDisturbanceCount; // Number of entries used in uDisturbances
+uniform vec4 uDisturbances[MAX_DISTURBANCES]; // UV position (0-1) in .xy, intensity in .z, crater radius in .w (0 for a round bump)
+uniform vec4 uDisturbanceShapes[MAX_DISTURBANCES]; // Direction of travel in .xy, stretch in .z, rebound in .w
 uniform float uDisturbanceAmount;
-uniform float uDisturbanceIntensity;
 uniform float uDisturbanceRadius;
 
 varying vec2 vUv;
 
+// Where the water at this texel was a time step ago: the current carries the
+// ripples downstream, so the step starts from the state found upstream
+vec2 source;
+
 // Helper to get texture coordinates for neighbors
 vec2 texel(vec2 offset) {
-    return vUv + offset / uResolution;
+    return source + offset / uResolution;
+}
+
+// Surface current at a texture coordinate, in UV units per second
+vec2 currentAt(vec2 uv) {
+    vec2 velocity = uCurrent;
+    if (uCurrentProfile == CURRENT_CHANNEL && dot(velocity, velocity) > 0.0) {
+        // Parabolic across the flow, still at the walls either side of it
+        vec2 flow = normalize(velocity);
+        vec2 world = vec2(uv.x - 0.5, 0.5 - uv.y) * uPlaneSize;
+        float across = abs(world.x * flow.y - world.y * flow.x);
+        float halfWidth = 0.5 * dot(abs(flow.yx), uPlaneSize);
+        velocity *= max(1.0 - (across / halfWidth) * (across / halfWidth), 0.0);
+    }
+    // V runs against world Z
+    return vec2(velocity.x, -velocity.y) / uPlaneSize;
+}
+
+// Texels from a texture coordinate to the nearest obstacle, 0 inside one
+float obstacleDistance(vec2 uv) {
+    return texture2D(uObstacleMask, uv).r * 255.0;
+}
+
+bool isObstacle(vec2 uv) {
+    return obstacleDistance(uv) < 0.5;
+}
+
+// A texture coordinate brought inside the texture: past the edge a periodic
+// domain wraps around, walls (reflective, and behind the absorbing layer)
+// mirror it
+vec2 inside(vec2 uv) {
+    if (uBoundaryMode == BOUNDARY_PERIODIC) return fract(uv);
+    return 1.0 - abs(1.0 - mod(uv, 2.0));
+}
+
+// Does the way out to a neighbor, offset texels away, run into an obstacle?
+// It marches out by the distance to the nearest obstacle each time, less the
+// texel and a half the sampled texel's centre may be off by, so it steps
+// over open water at once but cannot jump an obstacle on the way.
+bool blocked(vec2 offset) {
+    float reach = length(offset);
+    float travelled = 0.0;
+    for (int i = 0; i < MAX_OBSTACLE_STEPS; i++) {
+        float clearance = obstacleDistance(inside(texel(offset * (travelled / reach))));
+        if (clearance < 0.5) return true;
+        travelled += max(clearance - 1.5, 1.0);
+        if (travelled >= reach) break;
+    }
+    return isObstacle(inside(texel(offset)));
+}
+
+// Height of a neighbor, any number of texels away, seen from a texel at the
+// given height. Walls mirror the water, so the surface meets them level and
+// waves bounce back. An obstacle is a wall too: a neighbor inside one, or
+// behind one, takes this texel's height, so waves reflect off it and bend
+// around it.
+float neighborHeight(vec2 offset, float height) {
+    if (blocked(offset)) return height;
+    return texture2D(tPrev, inside(texel(offset))).r;
+}
+
+// Phase speed in m/s of waves of wavenumber k, from the dispersion relation
+float phaseSpeed(float k) {
+    return sqrt((GRAVITY / k + SURFACE_TENSION * k) * tanh(k * uDepth));
+}
+
+// Height and velocity change of an impact crater around this texel.
+// The crater is a bowl stretched along the direction of travel, ringed by a
+// raised rim. A stretched (grazing) crater throws its rim forward: the front
+// of the rim is higher and gets the velocity of a wave moving outwards. The
+// bowl of a steep impact is deeper and gets an upward velocity, so it
+// rebounds.
+vec2 impact(vec4 disturbance, vec4 shape) {
+    // Offset in V units, so the crater is round in world space
+    vec2 offset = vUv - disturbance.xy;
+    offset.x *= uAspect;
+
+    float radius = disturbance.w;
+    vec2 direction = shape.xy;
+    float stretch = shape.z;
+    float rebound = shape.w;
+
+    // Elliptical distance from the centre, 1 at the rim
+    float along = dot(offset, direction) / (radius * (1.0 + stretch));
+    float across = dot(offset, vec2(-direction.y, direction.x)) / radius;
+    float reach = length(vec2(along, across));
+    if (reach > 3.0) return vec2(0.0);
+
+    float ahead = along / max(reach, 1e-4); // 1 straight ahead, -1 behind
+    float lean = min(stretch, 1.0);
+    float rimShape = exp(-8.0 * (reach - 1.0) * (reach - 1.0));
+    float rim = 0.5 * rimShape * (1.0 + lean * ahead);
+    float bowl = exp(-2.0 * reach * reach) * (1.0 + rebound);
+
+    // Speed of waves the size of the crater, in crater radii per second
+    float radiusMetres = radius * uPlaneSize.y;
+    float speed = phaseSpeed(PI / (2.0 * radiusMetres)) / radiusMetres;
+    // A pulse moving outwards has velocity -speed * d(height)/d(reach)
+    float rimSlope = 0.5 * -16.0 * (reach - 1.0) * rimShape;
+    float outward = -speed * rimSlope * lean * max(ahead, 0.0);
+
+    float amount = uDisturbanceAmount * disturbance.z;
+    return amount * vec2(rim - bowl, outward + 1.5 * speed * rebound * bowl);
 }
 
 void main() {
-    // Read previous state (height in .r, velocity in .g)
-    vec4 prevState = texture2D(tPrev, vUv);
+    // No water inside an obstacle
+    if (isObstacle(vUv)) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+        return;
+    }
+
+    // Read previous state (height in .r, velocity in .g), upstream
+    source = vUv - currentAt(vUv) * uDelta;
+    if (uBoundaryMode == BOUNDARY_PERIODIC) {
+        source = fract(source);
+    } else {
+        source = 1.0 - abs(1.0 - mod(source, 2.0));
+    }
+    vec4 prevState = texture2D(tPrev, source);
     float height = prevState.r;
     float velocity = prevState.g;
 
     // --- Wave Equation (Finite Difference) ---
-    // Sample neighbors
-    float H_l = texture2D(tPrev, texel(vec2(-1.0, 0.0))).r; // Left
-    float H_r = texture2D(tPrev, texel(vec2( 1.0, 0.0))).r; // Right
-    float H_d = texture2D(tPrev, texel(vec2( 0.0,-1.0))).r; // Down (Top in UV)
-    float H_u = texture2D(tPrev, texel(vec2( 0.0, 1.0))).r; // Up (Bottom in UV)
-
-    // Calculate Laplacian (measure of curvature)
-    float aspectSq = uAspect * uAspect;
-    float laplacian_x = (H_l + H_r - 2.0 * height) / aspectSq; // Scaled horizontal contribution
-    float laplacian_z = (H_d + H_u - 2.0 * height);           // Vertical contribution
-    float laplacian = laplacian_x + laplacian_z;
-    // Update velocity based on acceleration (proportional to laplacian)
-    // The uDelta factor scales the simulation speed
-    float newVelocity = velocity + laplacian * uDelta;
+    // Each tap pulls the height towards the mean of the two neighbors at
+    // its offset; the taps reach from one texel to half the pool, weighted
+    // so every wavelength runs at its real speed
+    float acceleration = 0.0;
+    for (int i = 0; i < MAX_WAVE_TAPS; i++) {
+        if (i >= uWaveTapCount) break;
+
+        vec4 tap = uWaveTaps[i];
+        acceleration += tap.z * (neighborHeight(tap.xy, height) + neighborHeight(-tap.xy, height) - 2.0 * height);
+    }
+    // Update velocity based on acceleration
+    float newVelocity = velocity + acceleration * uDelta;
 
     // Update height based on new velocity
     float newHeight = height + newVelocity * uDelta;
@@ -50,12 +200,32 @@ void main() {
     newHeight *= (1.0 - uViscosity * uDelta);
     newVelocity *= (1.0 - uViscosity * uDelta);
 
-    // --- Apply Disturbance (Click/Collision) ---
-    if (uApplyDisturbance) {
+    // Absorbing layer: damping that grows smoothly towards the edges, so
+    // waves fade out on their way through it instead of reflecting
+    if (uBoundaryMode == BOUNDARY_ABSORBING) {
+        vec2 edgeDistance = min(vUv, 1.0 - vUv) * uPlaneSize;
+        float depth = clamp(1.0 - min(edgeDistance.x, edgeDistance.y) / uSpongeWidth, 0.0, 1.0);
+        float sponge = min(uSpongeStrength * depth * depth * uDelta, 1.0);
+        newHeight *= 1.0 - sponge;
+        newVelocity *= 1.0 - sponge;
+    }
+
+    // --- Apply Disturbances (Click/Collision) ---
+    for (int i = 0; i < MAX_DISTURBANCES; i++) {
+        if (i >= uDisturbanceCount) break;
+
+        if (uDisturbances[i].w > 0.0) {
+            // Impact crater, in height and velocity
+            vec2 change = impact(uDisturbances[i], uDisturbanceShapes[i]);
+            newHeight += change.x;
+            newVelocity += change.y;
+            continue;
+        }
+
         // Calculate distance from disturbance center (in UV space)
-        float dist = distance(vUv, uDisturbancePos);
+        float dist = distance(vUv, uDisturbances[i].xy);
         float radius = uDisturbanceRadius; // Radius of the disturbance effect
-        float strength = smoothstep(radius, 0.0, dist) * uDisturbanceAmount * uDisturbanceIntensity;
+        float strength = smoothstep(radius, 0.0, dist) * uDisturbanceAmount * uDisturbances[i].z;
 
         // Add disturbance directly to height (can also affect velocity)
         newHeight += strength;
@@ -0,0 +1,13 @@
+uniform vec3 uColor;
+uniform float uOpacity;
+
+varying vec2 vCorner;
+varying float vFade;
+
+void main() {
+    // Round droplet, brighter at the middle
+    float r = length(vCorner);
+    if (r > 1.0) discard;
+    float alpha = (1.0 - r * r) * uOpacity * (0.6 + 0.4 * vFade);
+    gl_FragColor = vec4(uColor * (1.0 + 0.3 * (1.0 - r)), alpha);
+}
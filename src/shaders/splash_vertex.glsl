@@ -0,0 +1,33 @@
+// Droplets of a splash, one instance each. A droplet flies a ballistic arc
+// from where it left the water and disappears when it lands back on it; the
+// whole flight is worked out here from its launch, so nothing is updated per
+// frame but the time.
+
+attribute vec3 aOrigin;   // Where the droplet left the water, world space
+attribute vec3 aVelocity; // Launch velocity in m/s
+attribute vec2 aLife;     // Time it was launched and time it lands, in s
+attribute float aSize;    // Radius in m
+
+uniform float uTime;
+uniform float uGravity;
+
+varying vec2 vCorner;
+varying float vFade;
+
+void main() {
+    float age = uTime - aLife.x;
+    float flight = aLife.y - aLife.x;
+    // Zero size outside the flight hides the droplet
+    float alive = step(0.0, age) * step(age, flight);
+
+    vec3 center = aOrigin + aVelocity * age;
+    center.y -= 0.5 * uGravity * age * age;
+
+    // Camera-facing quad
+    vec4 viewPosition = viewMatrix * vec4(center, 1.0);
+    viewPosition.xy += position.xy * aSize * alive;
+
+    vCorner = position.xy;
+    vFade = 1.0 - smoothstep(0.7, 1.0, age / max(flight, 1e-3));
+    gl_Position = projectionMatrix * viewPosition;
+}
@@ -5,6 +5,7 @@ uniform float uTime;
 // --- Add Height Map Uniform ---
 uniform sampler2D uHeightMap;
 uniform float uHeightScale; // To control the visual height exaggeration
+uniform vec2 uPlaneSize; // Size of the water plane in m
 
 varying vec3 vWorldPosition;
 varying vec3 vNormal;
@@ -22,6 +23,10 @@ void main() {
     // Apply the simulated height, scaled
     modelPosition.y += simulatedHeight * uHeightScale;
 
+    // --- Wind Waves ---
+    // The ambient waves move the water at rest under this vertex in circles
+    vec3 windNormal;
+    modelPosition.xyz += windWaves(modelPosition.xz, windNormal);
 
     // --- Normal Calculation from Height Map ---
     float texelSize = 1.0 / 256.0; // Adjust if SIMULATION_RESOLUTION changes
@@ -39,6 +44,10 @@ void main() {
         1.0,                           // Assuming Y is up
         (hD - hU) / (2.0 * texelSize)  // dH/dV (maps roughly to dH/dZ)
     );
+    // Add the slope of the wind waves in the same units, height per UV. V
+    // runs against world Z.
+    normal.x += windNormal.x / windNormal.y * uPlaneSize.x;
+    normal.z -= windNormal.z / windNormal.y * uPlaneSize.y;
 
 
     // Transform normal to world space
@@ -0,0 +1,30 @@
+// Wind Waves (see windWaves.js)
+// Sum of Gerstner waves under the ripple simulation. Prepended to the shaders
+// that need it; MAX_WIND_WAVES is defined by the material (see Water).
+uniform int uWindWaveCount;
+uniform vec4 uWindWaves[MAX_WIND_WAVES];      // Direction in world XZ in .xy, wavenumber in rad/m in .z, amplitude in m in .w
+uniform vec4 uWindWavePhases[MAX_WIND_WAVES]; // Angular frequency in rad/s in .x, phase in .y, steepness in .z
+uniform float uWindTime;                      // Time in s the waves have been running
+
+// Displacement in m of the water at rest at world position p (XZ), in .xyz,
+// and the unnormalized surface normal there
+vec3 windWaves(vec2 p, out vec3 normal) {
+    vec3 displacement = vec3(0.0);
+    normal = vec3(0.0, 1.0, 0.0);
+    for (int i = 0; i < MAX_WIND_WAVES; i++) {
+        if (i >= uWindWaveCount) break;
+
+        vec4 wave = uWindWaves[i];
+        vec4 phase = uWindWavePhases[i];
+        float theta = wave.z * dot(wave.xy, p) - phase.x * uWindTime + phase.y;
+        float c = cos(theta);
+        float s = sin(theta);
+        float ka = wave.z * wave.w;
+
+        displacement.xz += phase.z * wave.w * c * wave.xy;
+        displacement.y += wave.w * s;
+        normal.xz -= wave.xy * ka * c;
+        normal.y -= phase.z * ka * s;
+    }
+    return displacement;
+}
@@ -1,7 +1,19 @@
 import { Pane } from "tweakpane";
 import * as THREE from "three";
-import { sandTexture, riverbedTexture } from "./objects/ground";
-import { rockTypes, activeRockType, setActiveRockType } from './objects/rock';
+import { groundTextures } from "./objects/ground";
+import {
+  getActiveRockType,
+  getRockType,
+  listRockTypes,
+  onRockTypesChange,
+} from './objects/rockTypes';
+import {
+  forgetImportedRock,
+  importRockFile,
+  restoreImportedRocks,
+} from './objects/rockImport';
+import { significantHeight } from "./physics/windWaves.js";
+import { OBSTACLE_TYPES } from "./physics/obstacles.js";
 
 
 export function setupUI({
@@ -9,9 +21,46 @@ export function setupUI({
   water,
   ground,
   rockThrowController,
+  obstacles,
+  obstacleController,
+  emitters,
+  emitterController,
+  pool,
+  resizePool,
 }) {
   const pane = new Pane();
 
+  // Simulation resolution and pool size. Changing them rebuilds the water,
+  // so it only happens once a slider is let go.
+  if (pool && resizePool) {
+    const poolFolder = pane.addFolder({ title: "Pool", expanded: false });
+    const applyPool = (ev) => {
+      if (ev.last) resizePool(pool);
+    };
+    poolFolder
+      .addBinding(pool, "resolution", {
+        label: "Resolution",
+        options: {
+          "128 x 128": 128,
+          "256 x 256": 256,
+          "384 x 384": 384,
+          "512 x 512": 512,
+          "768 x 768": 768,
+          "1024 x 1024": 1024,
+        },
+      })
+      .on("change", applyPool);
+    poolFolder
+      .addBinding(pool, "width", { min: 1, max: 20, step: 0.5, label: "Width (m)" })
+      .on("change", applyPool);
+    poolFolder
+      .addBinding(pool, "length", { min: 2, max: 40, step: 0.5, label: "Length (m)" })
+      .on("change", applyPool);
+    poolFolder
+      .addBinding(pool, "depth", { min: 0.25, max: 5, step: 0.25, label: "Depth (m)" })
+      .on("change", applyPool);
+  }
+
   // Create UI folder for water parameters
   const waterFolder = pane.addFolder({ title: "Water", expanded: false });
 
@@ -23,9 +72,9 @@ export function setupUI({
       "value",
       {
         min: 0,
-        max: 0.3,
-        step: 0.001,
-        label: "Viscosity",
+        max: 2.4,
+        step: 0.01,
+        label: "Viscosity (1/s)",
       }
     );
     // Bind disturbance amount control
@@ -57,6 +106,265 @@ export function setupUI({
       step: 0.01,
       label: "Height Scale",
     });
+
+    // Real wave speeds for the current depth: long waves, and the ripples
+    // a skipping stone makes
+    const waveSpeeds = {
+      get long() {
+        return water.waveSpeed();
+      },
+      get ripple() {
+        return water.waveSpeed(0.1);
+      },
+    };
+    simFolder.addBinding(waveSpeeds, "long", {
+      readonly: true,
+      label: "Long Wave Speed (m/s)",
+      format: (value) => value.toFixed(2),
+    });
+    simFolder.addBinding(waveSpeeds, "ripple", {
+      readonly: true,
+      label: "10 cm Ripple Speed (m/s)",
+      format: (value) => value.toFixed(2),
+    });
+
+    // Boundary conditions at the edges of the simulated water
+    const boundary = { mode: water.getBoundaryMode() };
+    simFolder
+      .addBinding(boundary, "mode", {
+        label: "Boundary",
+        options: {
+          "Reflective (pool)": "reflective",
+          "Absorbing (open lake)": "absorbing",
+          Periodic: "periodic",
+        },
+      })
+      .on("change", (ev) => {
+        water.setBoundaryMode(ev.value);
+        spongeWidthBinding.hidden = ev.value !== "absorbing";
+        spongeStrengthBinding.hidden = ev.value !== "absorbing";
+      });
+    const spongeWidthBinding = simFolder.addBinding(
+      water.simulationMaterial.uniforms.uSpongeWidth,
+      "value",
+      {
+        min: 0.05,
+        max: 2,
+        step: 0.05,
+        label: "Sponge Width (m)",
+        hidden: boundary.mode !== "absorbing",
+      }
+    );
+    const spongeStrengthBinding = simFolder.addBinding(
+      water.simulationMaterial.uniforms.uSpongeStrength,
+      "value",
+      {
+        min: 0,
+        max: 60,
+        step: 1,
+        label: "Sponge Strength (1/s)",
+        hidden: boundary.mode !== "absorbing",
+      }
+    );
+  }
+
+  // Wind waves under the ripples. The wind sea is redrawn on every change.
+  if (water.wind) {
+    const windFolder = pane.addFolder({ title: "Wind", expanded: false });
+    const applyWind = () => water.setWind(water.wind);
+    windFolder
+      .addBinding(water.wind, "speed", {
+        min: 0,
+        max: 15,
+        step: 0.1,
+        label: "Wind Speed (m/s)",
+      })
+      .on("change", applyWind);
+    windFolder
+      .addBinding(water.wind, "direction", {
+        min: 0,
+        max: 360,
+        step: 1,
+        label: "Direction (deg)",
+      })
+      .on("change", applyWind);
+    windFolder
+      .addBinding(water.wind, "fetch", {
+        min: 10,
+        max: 2000,
+        step: 10,
+        label: "Fetch (m)",
+      })
+      .on("change", applyWind);
+    windFolder
+      .addBinding(water.wind, "choppiness", {
+        min: 0,
+        max: 1,
+        step: 0.01,
+        label: "Choppiness",
+      })
+      .on("change", applyWind);
+
+    const windSea = {
+      get height() {
+        return significantHeight(water.windWaves);
+      },
+    };
+    windFolder.addBinding(windSea, "height", {
+      readonly: true,
+      label: "Wave Height (m)",
+      format: (value) => value.toFixed(3),
+    });
+  }
+
+  // River current. A river looks best with periodic boundaries, so the
+  // ripples carried out at one end come back in at the other.
+  if (water.current) {
+    const riverFolder = pane.addFolder({ title: "River", expanded: false });
+    const applyCurrent = () => {
+      water.setCurrent(water.current);
+      if (rockThrowController) rockThrowController.invalidateTrajectory();
+    };
+    riverFolder
+      .addBinding(water.current, "speed", {
+        min: 0,
+        max: 2,
+        step: 0.05,
+        label: "Current Speed (m/s)",
+      })
+      .on("change", applyCurrent);
+    riverFolder
+      .addBinding(water.current, "direction", {
+        min: 0,
+        max: 360,
+        step: 1,
+        label: "Direction (deg)",
+      })
+      .on("change", applyCurrent);
+    riverFolder
+      .addBinding(water.current, "profile", {
+        label: "Profile",
+        options: {
+          Uniform: "uniform",
+          "Channel (still at the banks)": "channel",
+        },
+      })
+      .on("change", applyCurrent);
+  }
+
+  // Obstacles in the pool, placed and moved in the scene while editing
+  if (obstacles && obstacleController) {
+    const obstacleFolder = pane.addFolder({ title: "Obstacles", expanded: false });
+    obstacleFolder
+      .addBinding(obstacleController, "editing", { label: "Edit in Scene" })
+      .on("change", (ev) => obstacleController.setEditing(ev.value));
+    const typeOptions = {};
+    Object.entries(OBSTACLE_TYPES).forEach(([type, kind]) => {
+      typeOptions[kind.label] = type;
+    });
+    obstacleFolder.addBinding(obstacleController, "placeType", {
+      label: "Shift+Click Places",
+      options: typeOptions,
+    });
+    obstacleFolder
+      .addButton({ title: "Remove Selected" })
+      .on("click", () => obstacleController.removeSelected());
+    obstacleFolder
+      .addButton({ title: "Remove All" })
+      .on("click", () => {
+        obstacleController.select(null);
+        obstacles.removeAll();
+      });
+
+    const obstacleCount = {
+      get count() {
+        return obstacles.obstacles.length;
+      },
+    };
+    obstacleFolder.addBinding(obstacleCount, "count", {
+      readonly: true,
+      label: "Obstacles",
+      format: (value) => value.toFixed(0),
+    });
+  }
+
+  // Rain, drippers and the brush, to see how skipping goes on disturbed
+  // water
+  if (emitters && emitterController) {
+    const disturbFolder = pane.addFolder({ title: "Disturbances", expanded: false });
+
+    const rainFolder = disturbFolder.addFolder({ title: "Rain" });
+    rainFolder.addBinding(emitters.rain, "enabled", { label: "Raining" });
+    rainFolder.addBinding(emitters.rain, "rate", {
+      min: 1,
+      max: 500,
+      step: 1,
+      label: "Rate (drops/m²/s)",
+    });
+    rainFolder.addBinding(emitters.rain, "dropSize", {
+      min: 0.5,
+      max: 4,
+      step: 0.1,
+      label: "Drop Radius (mm)",
+    });
+
+    const dripperFolder = disturbFolder.addFolder({ title: "Drippers" });
+    dripperFolder.addBinding(emitters.dripper, "enabled", { label: "Dripping" });
+    dripperFolder.addBinding(emitters.dripper, "interval", {
+      min: 0.1,
+      max: 5,
+      step: 0.1,
+      label: "Interval (s)",
+    });
+    dripperFolder.addBinding(emitters.dripper, "height", {
+      min: 0.05,
+      max: 2,
+      step: 0.05,
+      label: "Height (m)",
+    });
+    dripperFolder.addBinding(emitters.dripper, "dropSize", {
+      min: 1,
+      max: 5,
+      step: 0.1,
+      label: "Drop Radius (mm)",
+    });
+    dripperFolder
+      .addButton({ title: "Remove All Drippers" })
+      .on("click", () => emitters.removeAllDrippers());
+    const dripperCount = {
+      get count() {
+        return emitters.drippers.length;
+      },
+    };
+    dripperFolder.addBinding(dripperCount, "count", {
+      readonly: true,
+      label: "Drippers",
+      format: (value) => value.toFixed(0),
+    });
+
+    const brushFolder = disturbFolder.addFolder({ title: "Mouse" });
+    brushFolder
+      .addBinding(emitterController, "mode", {
+        label: "Click on Water",
+        options: {
+          "Turns the camera": "off",
+          "Draws a wake": "brush",
+          "Places a dripper": "dripper",
+        },
+      })
+      .on("change", (ev) => emitterController.setMode(ev.value));
+    brushFolder.addBinding(emitterController.brush, "size", {
+      min: 0.02,
+      max: 0.5,
+      step: 0.01,
+      label: "Brush Radius (m)",
+    });
+    brushFolder.addBinding(emitterController.brush, "strength", {
+      min: 0,
+      max: 2,
+      step: 0.05,
+      label: "Brush Strength",
+    });
   }
 
   // Create UI folder for water color controls
@@ -143,8 +451,8 @@ export function setupUI({
 
   // Helper object to map texture names to texture objects
   const textureMap = {
-    Riverbed: riverbedTexture,
-    Sand: sandTexture,
+    Riverbed: groundTextures.riverbed,
+    Sand: groundTextures.sand,
   };
 
   // Intermediate state for Tweakpane texture selection
@@ -242,35 +550,106 @@ export function setupUI({
       expanded: false,
     });
 
+    // Rock types imported in earlier sessions
+    restoreImportedRocks();
+
     // Rock type selection
     const rockTypeConfig = {
       type: rockThrowController.rockOptions.rockType, // Initialize with current value
     };
+    let rockTypeBinding = null;
+    let rockTypeNames = null;
+
+    // Build the dropdown from the rock type registry, and rebuild it whenever
+    // types are registered or removed
+    const addRockTypeBinding = () => {
+      const types = listRockTypes();
+      const names = types.map(({ name }) => name).join();
+      if (names === rockTypeNames) return;
+      rockTypeNames = names;
+
+      // The selected type may have been removed
+      if (!getRockType(rockTypeConfig.type)) {
+        rockThrowController.setRockType(getActiveRockType());
+        rockTypeConfig.type = rockThrowController.rockOptions.rockType;
+        pane.refresh();
+      }
 
-    // Create options object for dropdown
-    const rockTypeOptions = {};
-    Object.keys(rockTypes).forEach((type) => {
-      // Convert to title case for display
-      rockTypeOptions[type] = type;
+      const rockTypeOptions = {};
+      types.forEach(({ name, label }) => {
+        rockTypeOptions[label] = name;
+      });
+
+      if (rockTypeBinding) rockTypeBinding.dispose();
+      rockTypeBinding = rockAppearanceFolder
+        .addBinding(rockTypeConfig, "type", {
+          label: "Rock Type",
+          options: rockTypeOptions,
+          index: 0,
+        })
+        .on("change", ({ value }) => {
+          // Update central rock options, with the type's stone shape
+          rockThrowController.setRockType(value);
+          pane.refresh();
+
+          // Notify user that this will apply to new rocks
+          console.log(
+            `Rock type changed to ${value} (applies to newly thrown rocks)`
+          );
+        });
+    };
+    addRockTypeBinding();
+    onRockTypesChange(addRockTypeBinding);
+
+    // Import a scanned or modelled stone as a new rock type, from the file
+    // picker or by dropping the file onto the page. How the last import or
+    // forget went is shown under the buttons.
+    const rockImportStatus = { message: "" };
+    const importRock = async (file) => {
+      try {
+        const rockType = await importRockFile(file);
+        rockThrowController.setRockType(rockType.name);
+        rockTypeConfig.type = rockType.name;
+        rockImportStatus.message = `Imported ${rockType.label}`;
+      } catch (error) {
+        rockImportStatus.message = `Could not import ${file.name}: ${error.message}`;
+      }
+      pane.refresh();
+    };
+
+    const rockFileInput = document.createElement("input");
+    rockFileInput.type = "file";
+    rockFileInput.accept = ".glb,.gltf,.obj";
+    rockFileInput.addEventListener("change", () => {
+      if (rockFileInput.files[0]) importRock(rockFileInput.files[0]);
+      rockFileInput.value = "";
     });
 
     rockAppearanceFolder
-      .addBinding(rockTypeConfig, "type", {
-        label: "Rock Type",
-        options: rockTypeOptions,
-      })
-      .on("change", ({ value }) => {
-        // Update central rock options
-        rockThrowController.rockOptions.rockType = value;
-
-        // Update global active rock type
-        setActiveRockType(value);
+      .addButton({ title: "Import Rock Mesh (glTF/OBJ)" })
+      .on("click", () => rockFileInput.click());
+
+    window.addEventListener("dragover", (event) => event.preventDefault());
+    window.addEventListener("drop", (event) => {
+      event.preventDefault();
+      const file = event.dataTransfer.files[0];
+      if (file) importRock(file);
+    });
 
-        // Notify user that this will apply to new rocks
-        console.log(
-          `Rock type changed to ${value} (applies to newly thrown rocks)`
-        );
+    rockAppearanceFolder
+      .addButton({ title: "Forget Imported Rock" })
+      .on("click", () => {
+        const rockType = getRockType(rockThrowController.rockOptions.rockType);
+        rockImportStatus.message =
+          rockType && forgetImportedRock(rockType.name)
+            ? `Forgot ${rockType.label}`
+            : "The selected rock type was not imported";
+        pane.refresh();
       });
+    rockAppearanceFolder.addBinding(rockImportStatus, "message", {
+      readonly: true,
+      label: "Import",
+    });
 
     // Displacement scale control
     rockAppearanceFolder
@@ -307,6 +686,114 @@ export function setupUI({
         rockThrowController.updateAllRocksOptions();
       });
 
+    // Shape of the generated stones. The weight follows from the shape and the
+    // density of the rock type.
+    const stoneFolder = pane.addFolder({
+      title: "Stone Shape",
+      expanded: false,
+    });
+
+    [
+      { key: "radius", min: 0.02, max: 0.1, step: 0.005, label: "Size (m)" },
+      { key: "flatness", min: 0, max: 1, step: 0.05, label: "Flatness" },
+      { key: "ellipticity", min: 0, max: 1, step: 0.05, label: "Ellipticity" },
+      { key: "edgeRoundness", min: 0, max: 1, step: 0.05, label: "Edge Roundness" },
+      { key: "surfaceNoise", min: 0, max: 1, step: 0.05, label: "Surface Noise" },
+      { key: "shapeVariation", min: 0, max: 1, step: 0.05, label: "Variation" },
+    ].forEach(({ key, ...params }) => {
+      stoneFolder
+        .addBinding(rockThrowController.rockOptions, key, params)
+        .on("change", () => {
+          rockThrowController.updateAllRocksOptions();
+        });
+    });
+
+    // Weight of the stone the next throw will use
+    const nextStone = {
+      get weight() {
+        return rockThrowController.getNextStone().physics.mass * 1000;
+      },
+    };
+    stoneFolder.addBinding(nextStone, "weight", {
+      readonly: true,
+      format: (value) => value.toFixed(0),
+      label: "Next Weight (g)",
+    });
+
+    // How many thrown rocks stay in the pool, and how they leave
+    const lifecycleFolder = pane.addFolder({
+      title: "Rock Lifecycle",
+      expanded: false,
+    });
+    lifecycleFolder.addBinding(rockThrowController.lifecycle, "maxRestingRocks", {
+      min: 0,
+      max: 30,
+      step: 1,
+      label: "Max Resting Rocks",
+    });
+    lifecycleFolder.addBinding(rockThrowController.lifecycle, "restingLifetime", {
+      min: 0,
+      max: 60,
+      step: 1,
+      label: "Resting Lifetime (s)",
+    });
+    lifecycleFolder.addBinding(rockThrowController.lifecycle, "fadeDuration", {
+      min: 0,
+      max: 5,
+      step: 0.1,
+      label: "Fade Duration (s)",
+    });
+    lifecycleFolder.addBinding(rockThrowController.lifecycle, "maxRocks", {
+      min: 1,
+      max: 60,
+      step: 1,
+      label: "Max Rocks",
+    });
+
+    // Live count of the rocks in each state
+    const rockCounts = {
+      get rocks() {
+        const counts = rockThrowController.getLifecycleCounts();
+        return `${counts["in-flight"]} flying, ${counts.skipping} skipping, ${counts.sinking} sinking, ${counts.resting} resting`;
+      },
+    };
+    lifecycleFolder.addBinding(rockCounts, "rocks", {
+      readonly: true,
+      label: "Rocks",
+    });
+
+    // Spray, droplets and foam at the impacts
+    const splashFolder = pane.addFolder({
+      title: "Splashes",
+      expanded: false,
+    });
+    const splashOptions = rockThrowController.splashes.options;
+    splashFolder.addBinding(splashOptions, "enabled", { label: "Enabled" });
+    splashFolder.addBinding(splashOptions, "amount", {
+      min: 0,
+      max: 3,
+      step: 0.1,
+      label: "Amount",
+    });
+    splashFolder.addBinding(splashOptions, "dropletSize", {
+      min: 0.002,
+      max: 0.02,
+      step: 0.001,
+      label: "Droplet Size (m)",
+    });
+    splashFolder.addBinding(splashOptions, "foamLifetime", {
+      min: 0.5,
+      max: 15,
+      step: 0.5,
+      label: "Foam Lifetime (s)",
+    });
+    splashFolder.addBinding(splashOptions, "landingRipple", {
+      min: 0,
+      max: 0.1,
+      step: 0.005,
+      label: "Droplet Ripple",
+    });
+
     const rockFolder = pane.addFolder({
       title: "Rock Physics",
       expanded: false,
@@ -326,18 +813,44 @@ export function setupUI({
         rockThrowController.updateTrajectoryLine();
       });
 
-      rockFolder
-      .addBinding(rockThrowController.rockOptions, "mass", {
-        min: 0.05,
-        max: 0.5,
-        step: 0.01,
-        label: "Rock Weight (kg)",
+
+    // Skip model selection: force-based water contact or the arcade angle rule
+    rockFolder
+      .addBinding(rockThrowController.rockOptions, "skipModel", {
+        label: "Skip Model",
+        options: {
+          Hydrodynamic: "hydrodynamic",
+          Arcade: "arcade",
+        },
+      })
+      .on("change", () => {
+        rockThrowController.updateAllRocksOptions();
+      });
+
+    // Release tilt and spin of the stone
+    rockFolder
+      .addBinding(rockThrowController.rockOptions, "tiltAngle", {
+        min: -10,
+        max: 60,
+        step: 1,
+        label: "Tilt (°)",
+      })
+      .on("change", () => {
+        rockThrowController.updateAllRocksOptions();
+      });
+
+    rockFolder
+      .addBinding(rockThrowController.rockOptions, "spinRate", {
+        min: -30,
+        max: 30,
+        step: 0.5,
+        label: "Spin (rev/s)",
       })
       .on("change", () => {
         rockThrowController.updateAllRocksOptions();
       });
 
-    // Add skip angle threshold control
+    // Arcade model: skip angle threshold control
     rockFolder
       .addBinding(rockThrowController.rockOptions, "skipAngleThreshold", {
         min: 1.0,
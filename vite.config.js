@@ -6,27 +6,8 @@ export default defineConfig({
   assetsInclude: ['**/*.exr'],
   build: {
     assetsInlineLimit: 0, // Don't inline assets into JS
-    rollupOptions: {
-      output: {
-        manualChunks: {
-          // Group textures together
-          cracked_boulder: [
-            'public/rock_textures/cracked_boulder/cracked_boulder_diff.jpg',
-            'public/rock_textures/cracked_boulder/cracked_boulder_disp.png',
-            'public/rock_textures/cracked_boulder/cracked_boulder_nor_gl.exr',
-          ],
-          coast: [
-            'public/rock_textures/coast/coast_diff.jpg',
-            'public/rock_textures/coast/coast_disp.png',
-            'public/rock_textures/coast/coast_nor_gl.exr',
-          ],
-          slate: [
-            'public/rock_textures/slate/slate_diff.jpg',
-            'public/rock_textures/slate/slate_disp.png',
-            'public/rock_textures/slate/slate_nor_gl.exr'
-          ]
-        }
-      }
-    }
+    // The rock textures live in public/ and are copied to the build as they
+    // are; they are loaded at runtime through the asset manager, so there is
+    // nothing to chunk
   }
 });